@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { AggregateBuilder } = require('../src/builders/aggregateBuilder');
+
+const Order = mongoose.model('AggregateBuilderOrder', new mongoose.Schema({
+  status: String,
+  total: Number,
+  isDeleted: Boolean
+}));
+
+const context = {
+  scopes: {
+    notDeleted: qb => qb.whereNe('isDeleted', true),
+    paid: qb => qb.where({ status: 'paid' })
+  },
+  defaultScopes: ['notDeleted']
+};
+
+const builder = () => new AggregateBuilder(Order, null, context);
+
+describe('AggregateBuilder default scopes', () => {
+  it('prepends the default scopes as a $match', () => {
+    expect(builder().group('status', { orders: 'count' }).getPipeline()).toEqual([
+      { $match: { isDeleted: { $ne: true } } },
+      { $group: { _id: '$status', orders: { $sum: 1 } } }
+    ]);
+  });
+
+  it('merges them into a leading match()', () => {
+    expect(builder().match(qb => qb.paid()).limit(5).getPipeline()).toEqual([
+      { $match: { isDeleted: { $ne: true }, status: 'paid' } },
+      { $limit: 5 }
+    ]);
+  });
+
+  it('keeps stages that must come first in front', () => {
+    const geoNear = { $geoNear: { near: { type: 'Point', coordinates: [0, 0] }, distanceField: 'distance' } };
+    expect(builder().stage(geoNear).getPipeline()).toEqual([
+      geoNear,
+      { $match: { isDeleted: { $ne: true } } }
+    ]);
+  });
+
+  it('skips them with unscoped()', () => {
+    expect(builder().unscoped().match({ status: 'paid' }).getPipeline()).toEqual([
+      { $match: { status: 'paid' } }
+    ]);
+    expect(builder().unscoped('notDeleted').limit(1).getPipeline()).toEqual([{ $limit: 1 }]);
+  });
+
+  it('does not scope sub-pipelines', () => {
+    const pipeline = builder()
+      .facet({ byStatus: ab => ab.group('status', { orders: 'count' }) })
+      .getPipeline();
+    expect(pipeline[1].$facet.byStatus).toEqual([{ $group: { _id: '$status', orders: { $sum: 1 } } }]);
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { AutocompleteManager, autocompletePlugin, edgeNgrams } = require('../src/operations/autocomplete');
+
+describe('edgeNgrams', () => {
+  it('stores prefixes starting at every word, marking whole-value prefixes', () => {
+    expect(edgeNgrams('New York').sort()).toEqual([
+      '^n', '^ne', '^new', '^new y', '^new yo', '^new yor', '^new york',
+      'n', 'ne', 'new', 'new y', 'new yo', 'new yor', 'new york',
+      'y', 'yo', 'yor', 'york'
+    ].sort());
+  });
+
+  it('normalizes the value and caps the prefix length', () => {
+    expect(edgeNgrams('Café', 3).sort()).toEqual(['^c', '^ca', '^caf', 'c', 'ca', 'caf'].sort());
+    expect(edgeNgrams(['São', 'Paulo'])).toEqual(expect.arrayContaining(['^sao p', 'paulo']));
+    expect(edgeNgrams('')).toEqual([]);
+    expect(edgeNgrams(null)).toEqual([]);
+  });
+});
+
+describe('autocompletePlugin', () => {
+  const schema = new mongoose.Schema({ name: String, city: { name: String } });
+  schema.plugin(autocompletePlugin, { fields: ['name', 'city.name'], maxLength: 4 });
+  const City = mongoose.model('AutocompleteCity', schema);
+
+  it('stores prefixes on save and insertMany', async () => {
+    City.collection.insertOne = jest.fn(async () => ({ acknowledged: true }));
+    City.collection.insertMany = jest.fn(async docs => ({ acknowledged: true, insertedCount: docs.length }));
+
+    await new City({ name: 'Oslo', city: { name: 'Oslo' } }).save();
+    const [saved] = City.collection.insertOne.mock.calls[0];
+    expect(saved.autocompletePrefixes.name).toEqual(expect.arrayContaining(['^oslo', 'osl']));
+    expect(saved.autocompletePrefixes.city_name).toEqual(expect.arrayContaining(['^o', 'oslo']));
+
+    await City.insertMany([{ name: 'Rome' }]);
+    const [[inserted]] = City.collection.insertMany.mock.calls[0];
+    expect(inserted.autocompletePrefixes.name).toEqual(expect.arrayContaining(['^rom', 'rome']));
+  });
+
+  it('updates prefixes in the same write as a $set', async () => {
+    City.collection.updateOne = jest.fn(async () => ({ acknowledged: true }));
+
+    await City.updateOne({ name: 'Oslo' }, { $set: { name: 'Bergen' } });
+
+    const [, update] = City.collection.updateOne.mock.calls[0];
+    expect(update.$set['autocompletePrefixes.name']).toEqual(expect.arrayContaining(['^berg', 'ber']));
+    expect(update.$set['autocompletePrefixes.name']).not.toContain('bergen');
+  });
+});
+
+describe('AutocompleteManager', () => {
+  const model = (rows = []) => ({ modelName: 'Product', aggregate: jest.fn(async () => rows) });
+
+  it('matches through the prefix index and ranks exact prefixes, popularity, then length', async () => {
+    const Model = model([{ _id: 1, value: 'Mongo', score: 1.5, _exactPrefix: 1 }]);
+    const manager = new AutocompleteManager(Model, { fields: ['name'], popularityField: 'sales', popularityWeight: 2 });
+
+    const suggestions = await manager.suggest({ prefix: '  MON', limit: 5, filter: { active: true } });
+
+    expect(suggestions).toEqual([{ _id: 1, value: 'Mongo', score: 1.5 }]);
+    const [pipeline] = Model.aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { $and: [{ active: true }, { 'autocompletePrefixes.name': 'mon' }] } });
+    expect(pipeline[1].$addFields._exactPrefix.$cond[0].$in[0]).toBe('^mon');
+    expect(pipeline[1].$addFields._popularity.$multiply[0]).toBe(2);
+    expect(pipeline[2]).toEqual({ $sort: { _exactPrefix: -1, _popularity: -1, _length: 1, _id: 1 } });
+    expect(pipeline[3]).toEqual({ $limit: 5 });
+  });
+
+  it('leaves popularity out without a popularity field', async () => {
+    const Model = model();
+    await new AutocompleteManager(Model, { fields: ['name'] }).suggest({ prefix: 'mo' });
+
+    expect(Model.aggregate.mock.calls[0][0][1].$addFields._popularity).toBe(0);
+  });
+
+  it('returns nothing for an empty prefix and rejects unconfigured fields', async () => {
+    const Model = model();
+    const manager = new AutocompleteManager(Model, { fields: ['name'] });
+
+    await expect(manager.suggest({ prefix: ' !! ' })).resolves.toEqual([]);
+    expect(Model.aggregate).not.toHaveBeenCalled();
+    await expect(manager.suggest({ field: 'sku', prefix: 'a' }))
+      .rejects.toThrow('Field is not configured for autocomplete: sku');
+  });
+
+  it('truncates long prefixes to the stored length', async () => {
+    const Model = model();
+    await new AutocompleteManager(Model, { fields: ['name'], maxLength: 4 }).suggest({ prefix: 'mongodb' });
+
+    expect(Model.aggregate.mock.calls[0][0][0].$match.$and[1]).toEqual({ 'autocompletePrefixes.name': 'mong' });
+  });
+});
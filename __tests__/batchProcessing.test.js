@@ -0,0 +1,188 @@
+const { LargeDatasetQueryBuilder } = require('../src/builders/queryBuilder');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+// Model whose cursor yields { _id: 1..count } and records how many documents were read
+const fakeModel = (count) => {
+  const docs = Array.from({ length: count }, (value, index) => ({ _id: index + 1 }));
+  const matching = (filter = {}) => docs.filter(doc => {
+    const after = filter._id && filter._id.$gt;
+    return after === undefined || doc._id > after;
+  });
+
+  const model = {
+    modelName: 'BatchRow',
+    read: 0,
+    countDocuments: async (filter) => matching(filter).length,
+    find: (filter) => {
+      const query = {
+        sort: () => query,
+        cursor: () => ({
+          async *[Symbol.asyncIterator]() {
+            for (const doc of matching(filter)) {
+              model.read++;
+              yield doc;
+            }
+          },
+          close: async () => {}
+        })
+      };
+      return query;
+    }
+  };
+  return model;
+};
+
+const memoryCheckpoints = () => {
+  const runs = new Map();
+  return {
+    runs,
+    load: async name => runs.get(name) || null,
+    save: jest.fn(async (name, progress) => { runs.set(name, { ...progress }); }),
+    clear: async name => { runs.delete(name); }
+  };
+};
+
+describe('LargeDatasetQueryBuilder batch processing', () => {
+  it('hands out batches in order and reports progress', async () => {
+    const builder = new LargeDatasetQueryBuilder(fakeModel(5));
+    const batches = [];
+    const progress = [];
+
+    const result = await builder.eachBatch(async (docs, index) => {
+      batches.push([index, docs.map(doc => doc._id)]);
+    }, { batchSize: 2, onProgress: update => progress.push(update) });
+
+    expect(result).toEqual({ processed: 5, batches: 3 });
+    expect(batches).toEqual([[0, [1, 2]], [1, [3, 4]], [2, [5]]]);
+    expect(progress).toEqual([
+      { processed: 2, total: 5 },
+      { processed: 4, total: 5 },
+      { processed: 5, total: 5 }
+    ]);
+  });
+
+  it('stops reading while every concurrent batch is busy', async () => {
+    const model = fakeModel(10);
+    const builder = new LargeDatasetQueryBuilder(model);
+    const gates = [];
+    let active = 0;
+    let maxActive = 0;
+
+    const run = builder.eachBatch(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      const gate = deferred();
+      gates.push(gate);
+      await gate.promise;
+      active--;
+    }, { batchSize: 2, concurrency: 2 });
+
+    await tick();
+    expect(gates).toHaveLength(2);
+    expect(model.read).toBe(4);
+
+    gates[0].resolve();
+    await tick();
+    expect(gates).toHaveLength(3);
+    expect(model.read).toBe(6);
+
+    // Release the rest as they start
+    while (gates.some(gate => !gate.released)) {
+      gates.filter(gate => !gate.released).forEach(gate => {
+        gate.released = true;
+        gate.resolve();
+      });
+      await tick();
+    }
+    await expect(run).resolves.toEqual({ processed: 10, batches: 5 });
+    expect(maxActive).toBe(2);
+  });
+
+  it('returns mapConcurrent results in cursor order', async () => {
+    const builder = new LargeDatasetQueryBuilder(fakeModel(4));
+
+    // Earlier documents finish last
+    const results = await builder.mapConcurrent(async (doc) => {
+      await new Promise(resolve => setTimeout(resolve, (5 - doc._id) * 5));
+      return doc._id * 10;
+    }, { concurrency: 4 });
+
+    expect(results).toEqual([10, 20, 30, 40]);
+  });
+
+  it('resumes from the checkpoint of a failed run and clears it when done', async () => {
+    const checkpoints = memoryCheckpoints();
+    const model = fakeModel(6);
+
+    await expect(new LargeDatasetQueryBuilder(model, { checkpoints }).eachBatch(async (docs, index) => {
+      if (index === 2) throw new Error('boom');
+    }, { batchSize: 2, checkpoint: 'reindex' })).rejects.toThrow('boom');
+    expect(checkpoints.runs.get('reindex')).toEqual({ lastId: 4, processed: 4 });
+
+    const seen = [];
+    const result = await new LargeDatasetQueryBuilder(model, { checkpoints }).eachBatch(async (docs) => {
+      seen.push(...docs.map(doc => doc._id));
+    }, { batchSize: 2, checkpoint: 'reindex' });
+
+    expect(seen).toEqual([5, 6]);
+    expect(result).toEqual({ processed: 6, batches: 1 });
+    expect(checkpoints.runs.has('reindex')).toBe(false);
+  });
+
+  it('keeps the batches finished before a concurrent failure and resumes after them', async () => {
+    const checkpoints = memoryCheckpoints();
+    const model = fakeModel(6);
+    const firstBatch = deferred();
+
+    // Batch 0 succeeds late, batch 1 fails first, batch 2 never starts
+    const run = new LargeDatasetQueryBuilder(model, { checkpoints }).eachBatch(async (docs, index) => {
+      if (index === 0) await firstBatch.promise;
+      if (index === 1) throw new Error('boom');
+    }, { batchSize: 2, concurrency: 2, checkpoint: 'resume' });
+
+    await tick();
+    firstBatch.resolve();
+    await expect(run).rejects.toThrow('boom');
+    expect(checkpoints.runs.get('resume')).toEqual({ lastId: 2, processed: 2 });
+
+    const seen = [];
+    await new LargeDatasetQueryBuilder(model, { checkpoints }).eachBatch(async (docs) => {
+      seen.push(...docs.map(doc => doc._id));
+    }, { batchSize: 2, concurrency: 2, checkpoint: 'resume' });
+
+    // The failed batch runs again; nothing is skipped
+    expect(seen.sort((a, b) => a - b)).toEqual([3, 4, 5, 6]);
+  });
+
+  it('never checkpoints past a failed batch when later ones finished', async () => {
+    const checkpoints = memoryCheckpoints();
+    const release = deferred();
+
+    const run = new LargeDatasetQueryBuilder(fakeModel(6), { checkpoints }).eachBatch(async (docs, index) => {
+      if (index === 0) {
+        await release.promise;
+        throw new Error('boom');
+      }
+    }, { batchSize: 2, concurrency: 2, checkpoint: 'ordered' });
+
+    await tick();
+    release.resolve();
+    await expect(run).rejects.toThrow('boom');
+    expect(checkpoints.save).not.toHaveBeenCalled();
+    expect(checkpoints.runs.has('ordered')).toBe(false);
+  });
+
+  it('rejects sort() on resumable runs', async () => {
+    const builder = new LargeDatasetQueryBuilder(fakeModel(1), { checkpoints: memoryCheckpoints() }).sort({ name: 1 });
+
+    await expect(builder.eachBatch(async () => {}, { checkpoint: 'sorted' }))
+      .rejects.toThrow('cannot use sort()');
+  });
+});
@@ -0,0 +1,118 @@
+const CacheManager = require('../src/core/CacheManager');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+// Let pending reads get past their store lookup
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const createCache = (cache = {}) => new CacheManager('User', {
+  enableCache: true,
+  cacheTTL: 60,
+  cache: { memory: { sweepInterval: 0 }, ...cache }
+});
+
+describe('CacheManager', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('coalesces concurrent misses into one fetch', async () => {
+    const cache = createCache();
+    const load = deferred();
+    const fetch = jest.fn(() => load.promise);
+
+    const reads = [cache.read('users', fetch), cache.read('users', fetch)];
+    load.resolve(['alice']);
+
+    expect(await Promise.all(reads)).toEqual([['alice'], ['alice']]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await cache.getStats()).toMatchObject({ misses: 2, coalesced: 1 });
+  });
+
+  it('keeps in-flight loads through invalidations of unrelated tags', async () => {
+    const cache = createCache();
+    const load = deferred();
+    const fetch = jest.fn(() => load.promise);
+
+    const first = cache.read('users', fetch, { tags: ['q:users'] });
+    await tick();
+    await cache.invalidate(['M:unrelated']);
+    const joined = cache.read('users', fetch, { tags: ['q:users'] });
+    load.resolve(['alice']);
+
+    expect(await Promise.all([first, joined])).toEqual([['alice'], ['alice']]);
+    expect(await cache.read('users', fetch)).toEqual(['alice']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache or share a load invalidated mid-fetch', async () => {
+    const cache = createCache();
+    const stale = deferred();
+    const fetch = jest.fn()
+      .mockImplementationOnce(() => stale.promise)
+      .mockResolvedValue(['bob']);
+
+    const first = cache.read('users', fetch, { tags: data => data.map(name => `doc:${name}`) });
+    await tick();
+    await cache.invalidate(['doc:alice']);
+    // Joined after the write, so it must not get the pre-write result
+    const joined = cache.read('users', fetch, { tags: data => data.map(name => `doc:${name}`) });
+    stale.resolve(['alice']);
+
+    expect(await first).toEqual(['alice']);
+    expect(await joined).toEqual(['bob']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(await cache.read('users', fetch)).toEqual(['bob']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops loads started before a clear()', async () => {
+    const cache = createCache();
+    const stale = deferred();
+    const fetch = jest.fn()
+      .mockImplementationOnce(() => stale.promise)
+      .mockResolvedValue(['fresh']);
+
+    const first = cache.read('users', fetch);
+    await tick();
+    await cache.clear();
+    stale.resolve(['old']);
+
+    expect(await first).toEqual(['old']);
+    expect(await cache.read('users', fetch)).toEqual(['fresh']);
+  });
+
+  it('serves stale entries while one background refresh runs', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const cache = createCache({ staleWhileRevalidate: 30 });
+
+    await cache.read('users', async () => ['v1']);
+    now += 61 * 1000;
+
+    const refresh = deferred();
+    const fetch = jest.fn(() => refresh.promise);
+    expect(await cache.read('users', fetch)).toEqual(['v1']);
+    expect(await cache.read('users', fetch)).toEqual(['v1']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    refresh.resolve(['v2']);
+    await tick();
+
+    expect(await cache.read('users', fetch)).toEqual(['v2']);
+    expect(await cache.getStats()).toMatchObject({ staleHits: 2 });
+  });
+
+  it('fetches again once the stale window has passed', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const cache = createCache({ staleWhileRevalidate: 30 });
+
+    await cache.read('users', async () => ['v1']);
+    now += 91 * 1000;
+
+    expect(await cache.read('users', async () => ['v2'])).toEqual(['v2']);
+  });
+});
@@ -0,0 +1,176 @@
+const { MemoryStore, RedisStore, createCacheStore } = require('../src/utils/cacheStore');
+const CacheManager = require('../src/core/CacheManager');
+
+/**
+ * In-memory stand-in for the ioredis commands RedisStore uses
+ */
+const createFakeRedis = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const hashes = new Map();
+  const ttls = new Map();
+  const allKeys = () => [...strings.keys(), ...sets.keys(), ...hashes.keys()];
+  const toRegExp = pattern => new RegExp(`^${pattern
+    .replace(/\\([*?[\]\\])|([.+^${}()|])|(\*)/g, (match, escaped, special, star) => {
+      if (escaped) return `\\${escaped}`;
+      if (special) return `\\${special}`;
+      return '.*';
+    })}$`);
+
+  return {
+    strings,
+    sets,
+    ttls,
+    async get(key) { return strings.has(key) ? strings.get(key) : null; },
+    async set(key, value, mode, ms) {
+      strings.set(key, value);
+      if (mode === 'PX') ttls.set(key, ms); else ttls.delete(key);
+      return 'OK';
+    },
+    async del(...keys) {
+      keys.forEach(key => {
+        strings.delete(key);
+        sets.delete(key);
+        hashes.delete(key);
+        ttls.delete(key);
+      });
+    },
+    async scan(cursor, match, pattern) {
+      const regex = toRegExp(pattern);
+      return ['0', allKeys().filter(key => regex.test(key))];
+    },
+    async sadd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+    },
+    async smembers(key) { return [...(sets.get(key) || [])]; },
+    async pttl(key) {
+      if (!sets.has(key) && !strings.has(key)) return -2;
+      return ttls.has(key) ? ttls.get(key) : -1;
+    },
+    async persist(key) { ttls.delete(key); },
+    async pexpire(key, ms) { ttls.set(key, ms); },
+    async hincrby(key, field, amount) {
+      if (!hashes.has(key)) hashes.set(key, {});
+      const hash = hashes.get(key);
+      hash[field] = String(Number(hash[field] || 0) + amount);
+    },
+    async hgetall(key) { return { ...(hashes.get(key) || {}) }; },
+    async quit() {}
+  };
+};
+
+describe('MemoryStore', () => {
+  let store;
+
+  afterEach(async () => {
+    if (store) await store.close();
+  });
+
+  it('invalidates tagged keys and clears by prefix', async () => {
+    store = new MemoryStore({ sweepInterval: 0 });
+    await store.set('User:a', 1);
+    await store.set('User:b', 2);
+    await store.set('Post:c', 3);
+    await store.tag('User:a', ['User:id:1']);
+
+    await store.invalidate(['User:id:1']);
+    expect(await store.get('User:a')).toBeUndefined();
+    expect(await store.get('User:b')).toBe(2);
+
+    await store.clear('User:');
+    expect(await store.get('User:b')).toBeUndefined();
+    expect(await store.get('Post:c')).toBe(3);
+  });
+});
+
+describe('RedisStore', () => {
+  it('stores JSON values with a TTL under its prefix', async () => {
+    const client = createFakeRedis();
+    const store = new RedisStore({ client, prefix: 'app:' });
+
+    await store.set('k', { a: 1 }, 2);
+    expect(client.strings.get('app:k')).toBe('{"a":1}');
+    expect(client.ttls.get('app:k')).toBe(2000);
+    expect(await store.get('k')).toEqual({ a: 1 });
+    expect(await store.get('missing')).toBeUndefined();
+  });
+
+  it('invalidates tags and clears by prefix', async () => {
+    const client = createFakeRedis();
+    const store = new RedisStore({ client, prefix: 'app:' });
+
+    await store.set('User:a', 1);
+    await store.set('User:b', 2);
+    await store.set('Post:c', 3);
+    await store.tag('User:a', ['User:id:1'], 60);
+    expect(client.ttls.get('app:__tags:User:id:1')).toBe(60000);
+
+    await store.invalidate(['User:id:1']);
+    expect(await store.get('User:a')).toBeUndefined();
+    expect(client.sets.has('app:__tags:User:id:1')).toBe(false);
+
+    await store.clear('User:');
+    expect(await store.get('User:b')).toBeUndefined();
+    expect(await store.get('Post:c')).toBe(3);
+  });
+
+  it('reports keyspace counts and shared hit/miss counters', async () => {
+    const client = createFakeRedis();
+    const first = new RedisStore({ client, prefix: 'app:' });
+    const second = new RedisStore({ client, prefix: 'app:' });
+
+    await first.set('a', 1);
+    await first.set('b', 2);
+    await first.tag('a', ['t1', 't2']);
+    await first.get('a');
+    await second.get('b');
+    await second.get('missing');
+
+    expect(await first.stats()).toEqual({
+      size: 2,
+      tags: 2,
+      sharedHits: 2,
+      sharedMisses: 1,
+      sharedHitRate: 2 / 3
+    });
+  });
+
+  it('skips counters when trackStats is false', async () => {
+    const client = createFakeRedis();
+    const store = new RedisStore({ client, trackStats: false });
+
+    await store.get('missing');
+    expect(await store.stats()).toMatchObject({ sharedHits: 0, sharedMisses: 0 });
+  });
+
+  it('feeds CacheManager.getStats', async () => {
+    const client = createFakeRedis();
+    const cache = new CacheManager('User', {
+      enableCache: true,
+      cache: { store: 'redis', redis: { client, prefix: 'app:' } }
+    });
+
+    await cache.read('k', async () => 'value');
+    await cache.read('k', async () => 'value');
+
+    expect(await cache.getStats()).toMatchObject({
+      hits: 1,
+      misses: 1,
+      size: 1,
+      sharedHits: 1,
+      sharedMisses: 1
+    });
+  });
+});
+
+describe('createCacheStore', () => {
+  it('accepts custom stores and rejects unknown names', async () => {
+    const custom = { get() {}, set() {}, del() {}, clear() {} };
+    expect(createCacheStore({ store: custom })).toBe(custom);
+    expect(() => createCacheStore({ store: 'nope' })).toThrow('Unknown cache store: nope');
+
+    const memory = createCacheStore({ memory: { sweepInterval: 0 } });
+    expect(memory).toBeInstanceOf(MemoryStore);
+  });
+});
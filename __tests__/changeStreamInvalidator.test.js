@@ -0,0 +1,154 @@
+const { EventEmitter } = require('events');
+const ChangeStreamInvalidator = require('../src/core/ChangeStreamInvalidator');
+const { QUERY_TAG } = require('../src/helpers/cacheTags');
+
+class FakeStream extends EventEmitter {
+  constructor(pipeline, options) {
+    super();
+    this.pipeline = pipeline;
+    this.options = options;
+    this.closed = false;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+const setup = () => {
+  const streams = [];
+  const transaction = {
+    watch: jest.fn((pipeline, options) => {
+      const stream = new FakeStream(pipeline, options);
+      streams.push(stream);
+      return stream;
+    })
+  };
+  const crud = {
+    invalidateCreated: jest.fn(async () => {}),
+    invalidateChanged: jest.fn(async () => {}),
+    cacheManager: { invalidate: jest.fn(async () => {}), clear: jest.fn(async () => {}) }
+  };
+  const invalidator = new ChangeStreamInvalidator(transaction, crud, { retryDelay: 100, maxRetryDelay: 400 });
+  return { streams, transaction, crud, invalidator };
+};
+
+// Let the async retry callback finish
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('ChangeStreamInvalidator', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('evicts cache entries for each kind of change', async () => {
+    const { streams, crud, invalidator } = setup();
+    invalidator.start();
+    const [stream] = streams;
+
+    await invalidator._handleChange({ _id: 't1', operationType: 'insert', documentKey: { _id: 1 } });
+    await invalidator._handleChange({
+      _id: 't2',
+      operationType: 'update',
+      documentKey: { _id: 1 },
+      updateDescription: { updatedFields: { name: 'x' }, removedFields: ['age'] }
+    });
+    await invalidator._handleChange({ _id: 't3', operationType: 'replace', documentKey: { _id: 2 } });
+
+    expect(stream.pipeline).toEqual([{ $match: { operationType: { $in: expect.arrayContaining(['insert', 'invalidate']) } } }]);
+    expect(crud.invalidateCreated).toHaveBeenCalledWith({ _id: 1 });
+    expect(crud.invalidateChanged).toHaveBeenCalledWith(['1'], { $set: { name: 'x' }, $unset: { age: '' } });
+    expect(crud.cacheManager.invalidate).toHaveBeenCalledWith([QUERY_TAG]);
+    expect(invalidator.resumeToken).toBe('t3');
+    await invalidator.stop();
+  });
+
+  it('resumes after the last seen event when the stream fails', async () => {
+    const { streams, crud, invalidator } = setup();
+    invalidator.start();
+
+    await invalidator._handleChange({ _id: 't1', operationType: 'delete', documentKey: { _id: 1 } });
+    streams[0].emit('error', new Error('network'));
+    streams[0].emit('close');
+    expect(streams[0].closed).toBe(true);
+
+    jest.advanceTimersByTime(100);
+    await flush();
+
+    expect(streams).toHaveLength(2);
+    expect(streams[1].options).toEqual({ resumeAfter: 't1' });
+    expect(crud.cacheManager.clear).not.toHaveBeenCalled();
+    await invalidator.stop();
+  });
+
+  it('starts over with a cleared cache when the resume point is lost', async () => {
+    const { streams, crud, invalidator } = setup();
+    invalidator.start();
+    streams[0].emit('resumeTokenChanged', 't1');
+
+    streams[0].emit('error', Object.assign(new Error('history lost'), { code: 286 }));
+    jest.advanceTimersByTime(100);
+    await flush();
+
+    expect(crud.cacheManager.clear).toHaveBeenCalledTimes(1);
+    expect(streams[1].options).toEqual({});
+    await invalidator.stop();
+  });
+
+  it('does not resume after an invalidate event', async () => {
+    const { streams, crud, invalidator } = setup();
+    invalidator.start();
+    streams[0].emit('resumeTokenChanged', 't1');
+
+    await invalidator._handleChange({ _id: 't2', operationType: 'invalidate' });
+    expect(invalidator.resumeToken).toBeNull();
+
+    streams[0].emit('close');
+    jest.advanceTimersByTime(100);
+    await flush();
+
+    expect(crud.cacheManager.clear).toHaveBeenCalledTimes(2);
+    expect(streams[1].options).toEqual({});
+    await invalidator.stop();
+  });
+
+  it('keeps retrying when clearing the cache fails', async () => {
+    const { streams, crud, invalidator } = setup();
+    crud.cacheManager.clear
+      .mockRejectedValueOnce(new Error('Redis is down'))
+      .mockResolvedValue();
+    invalidator.start();
+
+    streams[0].emit('close');
+    jest.advanceTimersByTime(100);
+    await flush();
+
+    // The failed attempt is logged, not left as an unhandled rejection
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('failed to reopen'), 'Redis is down');
+    expect(streams).toHaveLength(1);
+
+    jest.advanceTimersByTime(200);
+    await flush();
+
+    expect(crud.cacheManager.clear).toHaveBeenCalledTimes(2);
+    expect(streams).toHaveLength(2);
+    await invalidator.stop();
+  });
+
+  it('stops reconnecting once stopped', async () => {
+    const { streams, invalidator } = setup();
+    invalidator.start();
+
+    streams[0].emit('close');
+    await invalidator.stop();
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(streams).toHaveLength(1);
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crud = require('../src/operations/crud');
+const CacheManager = require('../src/core/CacheManager');
+const CrudManager = require('../src/core/CrudManager');
+const { queryTags } = require('../src/helpers/cacheTags');
+
+const Article = mongoose.model('CrudArticle', new mongoose.Schema({
+  title: String,
+  status: String,
+  searchableText: String
+}, { timestamps: true }));
+
+const ids = ['a1', 'a2', 'a3'];
+
+const createManager = () => {
+  const cacheManager = new CacheManager('CrudArticle', {
+    enableCache: true,
+    cacheTTL: 60,
+    cache: { memory: { sweepInterval: 0 } }
+  });
+  return new CrudManager(Article, {}, cacheManager);
+};
+
+describe('CrudManager cache invalidation', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = createManager();
+    jest.spyOn(crud, 'findById').mockImplementation(async (Model, id) => ({ _id: id }));
+    // findOne({ title }) matches a3; other filters match a2
+    jest.spyOn(crud, 'findOne').mockImplementation(async (Model, filter) => ({ _id: filter.title ? 'a3' : 'a2' }));
+    jest.spyOn(crud, 'updateById').mockImplementation(async (Model, id) => ({ _id: id }));
+    jest.spyOn(crud, 'removeById').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(crud, 'create').mockImplementation(async (Model, data) => ({ _id: 'new', ...data }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Read everything once so the next reads come from the cache
+  const warm = async () => {
+    await Promise.all(ids.map(id => manager.findById(id)));
+    await manager.findOne({ status: 'draft' });
+    await manager.findOne({ title: 'Intro' });
+    crud.findById.mockClear();
+    crud.findOne.mockClear();
+  };
+
+  const refetched = async () => {
+    await Promise.all(ids.map(id => manager.findById(id)));
+    await manager.findOne({ status: 'draft' });
+    await manager.findOne({ title: 'Intro' });
+    return {
+      ids: crud.findById.mock.calls.map(([, id]) => id),
+      queries: crud.findOne.mock.calls.map(([, filter]) => filter)
+    };
+  };
+
+  it('evicts the updated document and queries on the updated fields only', async () => {
+    await warm();
+
+    await manager.updateById('a1', { $set: { status: 'published' } });
+
+    // status query (filter field) evicted; title query holds a3 and doesn't filter on status
+    expect(await refetched()).toEqual({ ids: ['a1'], queries: [{ status: 'draft' }] });
+  });
+
+  it('evicts queries whose results contain the updated document', async () => {
+    await warm();
+
+    await manager.updateById('a3', { $set: { status: 'published' } });
+
+    expect(await refetched()).toEqual({
+      ids: ['a3'],
+      queries: [{ status: 'draft' }, { title: 'Intro' }]
+    });
+  });
+
+  it('treats the timestamps updatedAt field as updated', async () => {
+    const updatedSince = { updatedAt: { $gt: new Date(0) } };
+    await manager.findOne(updatedSince);
+    await warm();
+
+    await manager.updateById('a1', { $set: { title: 'Renamed' } });
+    await manager.findOne(updatedSince);
+
+    expect(crud.findOne.mock.calls.map(([, filter]) => filter)).toContainEqual(updatedSince);
+  });
+
+  it('evicts queries on derived fields when their sources change', async () => {
+    manager.addDerivedField('searchableText', ['title']);
+    const textQuery = { searchableText: /intro/ };
+    await manager.findOne(textQuery);
+    crud.findOne.mockClear();
+
+    await manager.updateById('a1', { $set: { status: 'draft' } });
+    await manager.findOne(textQuery);
+    expect(crud.findOne).not.toHaveBeenCalled();
+
+    await manager.updateById('a1', { $set: { title: 'Renamed' } });
+    await manager.findOne(textQuery);
+    expect(crud.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('evicts every query but no other id lookup on create', async () => {
+    await warm();
+
+    await manager.create({ title: 'New' });
+
+    expect(await refetched()).toEqual({
+      ids: [],
+      queries: [{ status: 'draft' }, { title: 'Intro' }]
+    });
+  });
+
+  it('evicts the deleted document and windowed results on delete', async () => {
+    await warm();
+    const page = jest.fn(async () => [{ _id: 'a2' }]);
+    const readPage = () => manager.cacheManager.read('page', page, { tags: queryTags({}, null, { windowed: true }) });
+    await readPage();
+
+    await manager.deleteById('a1');
+    await readPage();
+
+    // The page didn't contain a1, but skipping past it shifts every later row
+    expect(page).toHaveBeenCalledTimes(2);
+    expect(await refetched()).toEqual({ ids: ['a1'], queries: [] });
+  });
+
+  it('evicts every query for pipeline updates', async () => {
+    await warm();
+
+    await manager.updateById('a1', [{ $set: { title: { $toUpper: '$title' } } }]);
+
+    expect(await refetched()).toEqual({
+      ids: ['a1'],
+      queries: [{ status: 'draft' }, { title: 'Intro' }]
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { normalizeSort, encodeCursor, decodeCursor, buildKeysetFilter } = require('../src/helpers/cursor');
+const PaginationManager = require('../src/core/PaginationManager');
+
+const secret = 'test-secret';
+
+describe('cursor helpers', () => {
+  const sortKeys = normalizeSort({ publishedAt: -1 });
+
+  it('requires a secret to sign or verify cursors', () => {
+    const cursor = encodeCursor({ _id: 1, publishedAt: 5 }, sortKeys, secret);
+    expect(decodeCursor(cursor, sortKeys, secret)).toEqual([5, 1]);
+    expect(() => encodeCursor({ _id: 1 }, sortKeys)).toThrow('pagination.cursorSecret is not configured');
+    expect(() => decodeCursor(cursor, sortKeys)).toThrow('pagination.cursorSecret is not configured');
+    expect(() => decodeCursor(cursor, sortKeys, 'other')).toThrow('Invalid pagination cursor');
+  });
+
+  it('keeps null and missing sort values in a cursor', () => {
+    const cursor = encodeCursor({ _id: 1 }, sortKeys, secret);
+    expect(decodeCursor(cursor, sortKeys, secret)).toEqual([null, 1]);
+  });
+
+  it('pages descending past a non-null value into the nulls', () => {
+    expect(buildKeysetFilter(sortKeys, [5, 1])).toEqual({
+      $or: [
+        { $or: [{ publishedAt: { $lt: 5 } }, { publishedAt: null }] },
+        { publishedAt: 5, _id: { $lt: 1 } }
+      ]
+    });
+  });
+
+  it('pages within the nulls when the cursor value is null', () => {
+    // Descending: nothing sorts after null, so only the tiebreaker moves on
+    expect(buildKeysetFilter(sortKeys, [null, 1])).toEqual({
+      $or: [{ publishedAt: null, _id: { $lt: 1 } }]
+    });
+    // Ascending (or backward over a descending sort): every non-null value comes next
+    expect(buildKeysetFilter(sortKeys, [null, 1], true)).toEqual({
+      $or: [
+        { publishedAt: { $ne: null } },
+        { publishedAt: null, _id: { $gt: 1 } }
+      ]
+    });
+  });
+});
+
+describe('PaginationManager cursor pagination', () => {
+  const Post = mongoose.model('CursorPost', new mongoose.Schema({ publishedAt: Date }));
+
+  it('needs pagination.cursorSecret', async () => {
+    const manager = new PaginationManager(Post, {}, { readQuery: (options, entry, run) => run() });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(manager.paginateCursor({}, { cache: false }))
+      .rejects.toThrow('pagination.cursorSecret is not configured');
+    console.error.mockRestore();
+  });
+});
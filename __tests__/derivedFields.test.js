@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { unresolvedFields } = require('../src/helpers/derivedFields');
+const { searchableTextPlugin } = require('../src/operations/searchIndex');
+const { fuzzySearchPlugin } = require('../src/operations/fuzzySearch');
+const { autocompletePlugin } = require('../src/operations/autocomplete');
+
+// Chainable stand-in for a mongoose query that resolves to `result`
+const query = result => {
+  const chain = {
+    session: jest.fn(() => chain),
+    lean: () => chain,
+    cursor: () => (async function* rows() { yield* result; })(),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const createModel = (name, stored) => {
+  const schema = new mongoose.Schema({ title: String, tags: [String], views: Number });
+  schema.plugin(searchableTextPlugin, { fields: ['title', 'tags'] });
+  schema.plugin(fuzzySearchPlugin, { fields: ['tags'] });
+  schema.plugin(autocompletePlugin, { fields: ['tags'] });
+  const Model = mongoose.model(name, schema);
+
+  const writes = [];
+  ['updateOne', 'updateMany', 'findOneAndUpdate'].forEach(op => {
+    Model.collection[op] = jest.fn(async (...args) => {
+      writes.push({ op, args });
+      return op === 'findOneAndUpdate' ? { value: stored } : { acknowledged: true };
+    });
+  });
+  Model.distinct = jest.fn(() => query([stored._id]));
+  Model.findOne = jest.fn(() => query({ _id: stored._id }));
+  Model.find = jest.fn(() => query([stored]));
+  Model.bulkWrite = jest.fn(async () => ({}));
+  return { Model, writes };
+};
+
+const recomputed = Model => Object.assign({}, ...Model.bulkWrite.mock.calls.map(([operations]) => (
+  operations[0].updateOne.update.$set
+)));
+
+describe('unresolvedFields', () => {
+  it('resolves whole-field and parent $set/$unset', () => {
+    expect(unresolvedFields({ $set: { title: 'x' }, $unset: { tags: 1 }, views: 2 }, ['title', 'tags'])).toEqual([]);
+    expect(unresolvedFields({ $set: { author: { name: 'x' } } }, ['author.name'])).toEqual([]);
+  });
+
+  it('flags other operators and writes inside a field', () => {
+    const fields = ['title', 'tags', 'author.name', 'views'];
+    expect(unresolvedFields({ $push: { tags: 'a' } }, fields)).toEqual(['tags']);
+    expect(unresolvedFields({ $addToSet: { tags: 'a' }, $inc: { views: 1 } }, fields)).toEqual(['tags', 'views']);
+    expect(unresolvedFields({ $pull: { tags: 'a' } }, fields)).toEqual(['tags']);
+    expect(unresolvedFields({ $rename: { name: 'title' } }, fields)).toEqual(['title']);
+    expect(unresolvedFields({ $setOnInsert: { 'author.name': 'x' } }, fields)).toEqual(['author.name']);
+    expect(unresolvedFields({ $set: { 'tags.0': 'a' } }, fields)).toEqual(['tags']);
+    expect(unresolvedFields({ 'tags.$': 'a' }, fields)).toEqual(['tags']);
+    expect(unresolvedFields({ $push: { other: 1 } }, fields)).toEqual([]);
+  });
+});
+
+describe('derived fields on update operators', () => {
+  const stored = { _id: new mongoose.Types.ObjectId(), title: 'Intro', tags: ['mongo', 'search'] };
+
+  it.each([
+    ['$push', { $push: { tags: 'search' } }],
+    ['$addToSet', { $addToSet: { tags: 'search' } }],
+    ['$pull', { $pull: { tags: 'old' } }]
+  ])('recomputes every derived field after an updateMany with %s', async (operator, update) => {
+    const { Model } = createModel(`Derived_${operator.slice(1)}`, stored);
+
+    await Model.updateMany({ title: 'Intro' }, update);
+
+    expect(Model.distinct).toHaveBeenCalledWith('_id', { title: 'Intro' });
+    expect(Model.find).toHaveBeenCalledWith({ _id: { $in: [stored._id] } }, { tags: 1 });
+    const set = recomputed(Model);
+    expect(set['searchableText.tags']).toBe('mongo search');
+    expect(set['fuzzyTokens.tags']).toEqual(expect.arrayContaining(['mon', 'sea']));
+    expect(set['autocompletePrefixes.tags']).toEqual(expect.arrayContaining(['mo', 'sear']));
+  });
+
+  it('recomputes the document changed by updateOne with $inc and $rename', async () => {
+    const { Model, writes } = createModel('Derived_updateOne', stored);
+
+    await Model.updateOne({ title: 'Intro' }, { $inc: { views: 1 }, $rename: { subtitle: 'title' } }, { strict: false });
+
+    expect(writes).toHaveLength(1);
+    expect(Model.findOne).toHaveBeenCalledWith({ title: 'Intro' }, '_id');
+    expect(recomputed(Model)).toEqual({ 'searchableText.title': 'Intro' });
+  });
+
+  it('recomputes the document returned by findOneAndUpdate with $setOnInsert', async () => {
+    const { Model } = createModel('Derived_findOneAndUpdate', stored);
+
+    await Model.findOneAndUpdate({ title: 'Intro' }, { $setOnInsert: { tags: ['new'] } }, { upsert: true });
+
+    expect(Model.findOne).not.toHaveBeenCalled();
+    expect(Model.find).toHaveBeenCalledWith({ _id: { $in: [stored._id] } }, { tags: 1 });
+  });
+
+  it('keeps $set updates in a single write', async () => {
+    const { Model, writes } = createModel('Derived_set', stored);
+
+    await Model.updateMany({ title: 'Intro' }, { $set: { tags: ['a'] } });
+
+    expect(writes).toHaveLength(1);
+    expect(writes[0].args[1].$set['searchableText.tags']).toBe('a');
+    expect(Model.distinct).not.toHaveBeenCalled();
+    expect(Model.bulkWrite).not.toHaveBeenCalled();
+  });
+});
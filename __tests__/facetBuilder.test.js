@@ -0,0 +1,36 @@
+const { normalizeFacets, formatFacetResult } = require('../src/builders/facetBuilder');
+
+describe('formatFacetResult', () => {
+  it('labels numeric range buckets with min and max', () => {
+    const facets = normalizeFacets({ price: { type: 'range', boundaries: [0, 50, 100] } });
+    const result = formatFacetResult({
+      facet_price: [{ _id: 0, count: 2 }, { _id: 50, count: 1 }, { _id: 'other', count: 4 }]
+    }, facets);
+
+    expect(result.facets.price).toEqual([
+      { min: 0, max: 50, count: 2 },
+      { min: 50, max: 100, count: 1 },
+      { value: 'other', count: 4 }
+    ]);
+  });
+
+  it('matches date boundaries by value', () => {
+    const boundaries = [new Date('2024-01-01'), new Date('2024-07-01'), new Date('2025-01-01')];
+    const facets = normalizeFacets({ createdAt: { type: 'range', boundaries } });
+
+    // The driver returns fresh Date instances, never the boundary objects themselves
+    const result = formatFacetResult({
+      facet_createdAt: [
+        { _id: new Date('2024-01-01'), count: 3 },
+        { _id: new Date('2024-07-01'), count: 5 },
+        { _id: 'other', count: 1 }
+      ]
+    }, facets);
+
+    expect(result.facets.createdAt).toEqual([
+      { min: boundaries[0], max: boundaries[1], count: 3 },
+      { min: boundaries[1], max: boundaries[2], count: 5 },
+      { value: 'other', count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  rankCandidates,
+  normalizeText,
+  trigrams,
+  editDistance,
+  similarity
+} = require('../src/operations/fuzzySearch');
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('john', 'jon')).toBe(1);
+    expect(editDistance('jon', 'john')).toBe(1);
+  });
+
+  it('counts a transposition as one edit', () => {
+    expect(editDistance('jhon', 'john')).toBe(1);
+    expect(editDistance('ca', 'abc')).toBe(3);
+  });
+
+  it('handles empty and equal strings', () => {
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance('abc', '')).toBe(3);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+});
+
+describe('normalizeText', () => {
+  it('lowercases, strips diacritics and punctuation, and joins arrays', () => {
+    expect(normalizeText('  Crème-Brûlée!! ')).toBe('creme brulee');
+    expect(normalizeText(['São', 'Paulo'])).toBe('sao paulo');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('trigrams', () => {
+  it('pads each word so its boundaries get their own grams', () => {
+    expect(trigrams('Cat')).toEqual(['  c', ' ca', 'cat', 'at ']);
+  });
+
+  it('returns unique grams across words', () => {
+    expect(trigrams('ab ab')).toEqual(['  a', ' ab', 'ab ']);
+    expect(trigrams('')).toEqual([]);
+  });
+});
+
+describe('similarity', () => {
+  it('matches a query word against the closest word of the value', () => {
+    expect(similarity('jhon', 'John Smith')).toBe(0.75);
+    expect(similarity('smith', 'John Smith')).toBe(1);
+  });
+
+  it('is zero for empty input', () => {
+    expect(similarity('', 'John')).toBe(0);
+    expect(similarity('john', undefined)).toBe(0);
+  });
+});
+
+describe('rankCandidates', () => {
+  const candidates = [
+    { name: 'Jane Doe', city: 'Boston' },
+    { name: 'John Smith', city: 'Austin' },
+    { name: 'Jon Smyth', city: 'Johnstown' }
+  ];
+
+  it('scores every field, keeps the best and sorts best first', () => {
+    const ranked = rankCandidates(candidates, { query: 'john', fields: ['name', 'city'] });
+
+    expect(ranked.map(doc => doc.name)).toEqual(['John Smith', 'Jon Smyth', 'Jane Doe']);
+    expect(ranked[0].score).toBe(1);
+    expect(ranked[1].score).toBe(0.75);
+  });
+
+  it('drops candidates below minScore', () => {
+    const ranked = rankCandidates(candidates, { query: 'john', fields: ['name'], minScore: 0.7 });
+    expect(ranked.map(doc => doc.name)).toEqual(['John Smith', 'Jon Smyth']);
+  });
+
+  it('uses the best of several query variants', () => {
+    const ranked = rankCandidates(candidates, { query: ['jane', 'smyth'], fields: ['name'], minScore: 1 });
+    expect(ranked.map(doc => doc.name)).toEqual(['Jane Doe', 'Jon Smyth']);
+  });
+
+  it('reads nested fields', () => {
+    const ranked = rankCandidates([{ profile: { name: 'Alice' } }], { query: 'alice', fields: ['profile.name'] });
+    expect(ranked[0].score).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+const SearchManager = require('../src/core/SearchManager');
+const { EARTH_RADIUS_METERS } = require('../src/helpers/geoJson');
+
+const noCache = { readQuery: (options, entry, run) => run() };
+
+const geoModel = (rows = []) => ({
+  modelName: 'Place',
+  schema: { indexes: () => [] },
+  aggregate: jest.fn(async () => rows),
+  find: jest.fn(() => {
+    const query = {
+      skip: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+    };
+    return query;
+  })
+});
+
+describe('SearchManager geospatial search', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('runs searchNearby() through $geoNear on the configured geo field', async () => {
+    const rows = [{ _id: 1, name: 'Cafe', distance: 12.5 }, { _id: 2, name: 'Bar', distance: 80 }];
+    const Model = geoModel(rows);
+    const manager = new SearchManager(Model, { search: { geoField: 'location' } }, noCache);
+
+    const results = await manager.searchNearby({
+      coordinates: [2.35, 48.85],
+      minDistance: 10,
+      filter: { open: true },
+      page: 3,
+      limit: 5
+    });
+
+    // Plain objects with the distance in meters, closest first
+    expect(results).toEqual(rows);
+    expect(Model.aggregate).toHaveBeenCalledWith([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [2.35, 48.85] },
+          key: 'location',
+          distanceField: 'distance',
+          spherical: true,
+          query: { open: true },
+          maxDistance: 10000,
+          minDistance: 10
+        }
+      },
+      { $skip: 10 },
+      { $limit: 5 }
+    ]);
+  });
+
+  it('uses a custom distance field and returns every match without a limit', async () => {
+    const Model = geoModel();
+    const manager = new SearchManager(Model, {}, noCache);
+
+    await manager.searchNearby({ coordinates: [0, 0], maxDistance: 500, distanceField: 'meters' });
+
+    const [pipeline] = Model.aggregate.mock.calls[0];
+    expect(pipeline[0].$geoNear).toMatchObject({ key: 'location.coordinates', distanceField: 'meters', maxDistance: 500 });
+    expect(pipeline.slice(1)).toEqual([{ $skip: 0 }]);
+  });
+
+  it('rejects coordinates outside the valid range', async () => {
+    const Model = geoModel();
+    const manager = new SearchManager(Model, {}, noCache);
+
+    await expect(manager.searchNearby({ coordinates: [200, 0] })).rejects.toThrow('longitude 200 is outside -180..180');
+    await expect(manager.searchNearby({ coordinates: [0] })).rejects.toThrow('expected [longitude, latitude]');
+    expect(Model.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('searches within circles and bounding boxes', async () => {
+    const Model = geoModel();
+    const manager = new SearchManager(Model, { search: { geoField: 'location' } }, noCache);
+
+    await manager.searchWithin({ circle: { center: [1, 2], radius: 1000 } });
+    expect(Model.find).toHaveBeenLastCalledWith({
+      location: { $geoWithin: { $centerSphere: [[1, 2], 1000 / EARTH_RADIUS_METERS] } }
+    });
+
+    await manager.searchWithin({ box: [0, 0, 1, 1], filter: { open: true } });
+    expect(Model.find).toHaveBeenLastCalledWith({
+      open: true,
+      location: {
+        $geoWithin: {
+          $geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] }
+        }
+      }
+    });
+  });
+
+  it('needs exactly one shape and valid GeoJSON for searchWithin()', async () => {
+    const manager = new SearchManager(geoModel(), {}, noCache);
+
+    await expect(manager.searchWithin({})).rejects.toThrow('Provide exactly one of polygon, circle, box or geometry');
+    await expect(manager.searchWithin({ polygon: [[0, 0], [1, 0], [1, 1], [0, 1]] }))
+      .rejects.toThrow('the first and last positions must be the same');
+    await expect(manager.searchWithin({ box: [1, 1, 0, 0] }))
+      .rejects.toThrow('minimum corner must be south-west of the maximum corner');
+  });
+});
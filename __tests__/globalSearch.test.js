@@ -0,0 +1,73 @@
+const search = require('../src/operations/search');
+const { FuzzySearchManager } = require('../src/operations/fuzzySearch');
+const GlobalSearch = require('../src/core/GlobalSearch');
+
+const fakeModel = (name, total) => ({ modelName: name, countDocuments: jest.fn(async () => total) });
+
+/**
+ * Fuzzy source backed by a real FuzzySearchManager; the model's aggregate
+ * applies the pipeline's $limit the way MongoDB would
+ */
+const fuzzySource = (count) => {
+  const docs = Array.from({ length: count }, (_, i) => ({ _id: i, name: 'mongo' }));
+  const Model = {
+    modelName: 'Tag',
+    aggregate: jest.fn(async (pipeline) => {
+      const { $limit } = pipeline.find(stage => stage.$limit);
+      return docs.slice(0, $limit);
+    })
+  };
+  const manager = new FuzzySearchManager(Model, { fields: ['name'] });
+  return { Model, fuzzySearchManager: manager, fuzzySearch: options => manager.search(options) };
+};
+
+describe('GlobalSearch', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('highlights the source fields of text sources', async () => {
+    const searchWithText = jest.spyOn(search, 'searchWithText').mockResolvedValue([{ score: 2 }]);
+    const articles = {
+      Model: fakeModel('Article', 1),
+      searchManager: { sourceFields: ['title', 'body'], textPaths: ['searchableText.title', 'searchableText.body'] }
+    };
+    const pages = { Model: fakeModel('Page', 1), searchManager: { sourceFields: ['searchableText'] } };
+
+    const siteSearch = new GlobalSearch({ articles, pages: { db: pages, fields: ['title'] } });
+    await siteSearch.search({ text: 'mongo', highlight: { preTag: '[' } });
+
+    expect(searchWithText.mock.calls[0][1].highlight).toEqual({ fields: ['title', 'body'], preTag: '[' });
+    expect(searchWithText.mock.calls[1][1].highlight).toEqual({ fields: ['title'], preTag: '[' });
+  });
+
+  it('flags fuzzy sources past maxPerSource as capped, even above the default candidateLimit', async () => {
+    const tags = fuzzySource(700);
+    const { pagination, data } = await new GlobalSearch({ tags: { db: tags, mode: 'fuzzy' } }, { maxPerSource: 600 })
+      .search({ text: 'mongo', limit: 100, page: 6 });
+
+    expect(tags.fuzzySearchManager.candidateLimit).toBe(500);
+    expect(pagination).toMatchObject({ total: 600, pages: 6, hasNextPage: false, capped: true });
+    expect(data).toHaveLength(100);
+  });
+
+  it('reports an exact fuzzy total below maxPerSource', async () => {
+    const { pagination } = await new GlobalSearch({ tags: { db: fuzzySource(3), mode: 'fuzzy' } }, { maxPerSource: 5 })
+      .search({ text: 'mongo' });
+    expect(pagination).toMatchObject({ total: 3, capped: false });
+  });
+
+  it('stops paging text sources at maxPerSource', async () => {
+    jest.spyOn(search, 'searchWithText').mockImplementation(async (Model, { limit }) => (
+      Array.from({ length: limit }, (_, i) => ({ score: 10 - i }))
+    ));
+    const articles = { Model: fakeModel('Article', 50), searchManager: { sourceFields: ['title'] } };
+    const siteSearch = new GlobalSearch({ articles }, { maxPerSource: 20 });
+
+    const last = await siteSearch.search({ text: 'mongo', page: 2, limit: 10 });
+    expect(last.data).toHaveLength(10);
+    expect(last.pagination).toMatchObject({ total: 50, pages: 2, hasNextPage: false, capped: true });
+
+    const past = await siteSearch.search({ text: 'mongo', page: 3, limit: 10 });
+    expect(past.data).toHaveLength(0);
+    expect(past.pagination.hasNextPage).toBe(false);
+  });
+});
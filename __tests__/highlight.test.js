@@ -0,0 +1,105 @@
+const {
+  stem,
+  extractTerms,
+  highlightText,
+  highlightDocument,
+  applyHighlights
+} = require('../src/helpers/highlight');
+const search = require('../src/operations/search');
+
+describe('stem', () => {
+  it.each([
+    ['running', 'run'],
+    ['searches', 'search'],
+    ['classes', 'class'],
+    ['ponies', 'pony'],
+    ['indexed', 'index'],
+    ['cats', 'cat'],
+    ['glass', 'glass'],
+    ['sing', 'sing'],
+    ['bus', 'bus']
+  ])('stems %s to %s', (word, expected) => {
+    expect(stem(word)).toBe(expected);
+  });
+});
+
+describe('extractTerms', () => {
+  it('folds words and phrase words, skipping negated terms and phrases', () => {
+    expect(extractTerms('Café "full text" -draft -"old stuff" search'))
+      .toEqual(['cafe', 'full', 'text', 'search']);
+    expect(extractTerms()).toEqual([]);
+  });
+});
+
+describe('highlightText', () => {
+  it('wraps matches and their stem variants', () => {
+    expect(highlightText('Run fast, he runs and was running', ['run'], { fragmentSize: 0 }))
+      .toEqual(['<em>Run</em> fast, he <em>runs</em> and was <em>running</em>']);
+  });
+
+  it('matches regardless of case and diacritics with custom tags', () => {
+    expect(highlightText('Le CAFÉ est ouvert', ['cafe'], { preTag: '[', postTag: ']', fragmentSize: 0 }))
+      .toEqual(['Le [CAFÉ] est ouvert']);
+  });
+
+  it('cuts fragments on word boundaries and merges overlapping ones', () => {
+    const text = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mongo';
+    expect(highlightText(text, ['gamma', 'delta', 'mongo'], { fragmentSize: 12 }))
+      .toEqual(['beta <em>gamma</em> <em>delta</em> epsilon', 'lambda <em>mongo</em>']);
+  });
+
+  it('limits the number of fragments', () => {
+    const text = 'mongo aaaaaaaaaa bbbbbbbbbb mongo cccccccccc dddddddddd mongo';
+    expect(highlightText(text, ['mongo'], { fragmentSize: 5, maxFragments: 2 }))
+      .toEqual(['<em>mongo</em>', '<em>mongo</em>']);
+  });
+
+  it('returns nothing without a match', () => {
+    expect(highlightText('nothing here', ['mongo'])).toEqual([]);
+  });
+});
+
+describe('highlightDocument and applyHighlights', () => {
+  const doc = {
+    title: 'Indexing tips',
+    tags: ['index', 'search', 'indexes'],
+    author: { bio: 'Writes about indexed search' },
+    views: 10
+  };
+
+  it('highlights nested and array fields with a match', () => {
+    expect(highlightDocument(doc, ['indexing'], { fields: ['title', 'tags', 'author.bio', 'views'], fragmentSize: 0 }))
+      .toEqual({
+        title: ['<em>Indexing</em> tips'],
+        tags: ['<em>index</em>', '<em>indexes</em>'],
+        'author.bio': ['Writes about <em>indexed</em> search']
+      });
+  });
+
+  it('attaches a highlights map to every hit', () => {
+    const [hit] = applyHighlights([doc], 'search -tips', { fields: ['title', 'tags'] });
+
+    expect(hit.title).toBe('Indexing tips');
+    expect(hit.highlights).toEqual({ tags: ['<em>search</em>'] });
+  });
+});
+
+describe('searchWithText highlighting', () => {
+  it('returns lean hits with highlights of the expanded search text', async () => {
+    const rows = [{ _id: 1, title: 'Running MongoDB in production', score: 1.2 }];
+    const lean = jest.fn(async () => rows);
+    const chain = { select: () => chain, sort: () => chain, skip: () => chain, limit: () => chain, lean };
+    const Model = { find: jest.fn(() => chain) };
+    const synonyms = { expandText: text => `${text} mongodb` };
+
+    const hits = await search.searchWithText(Model, {
+      searchText: 'run',
+      synonyms,
+      highlight: { fields: ['title'], preTag: '**', postTag: '**' }
+    });
+
+    expect(Model.find).toHaveBeenCalledWith({ $text: { $search: 'run mongodb', $language: 'english' } });
+    expect(lean).toHaveBeenCalled();
+    expect(hits).toEqual([{ ...rows[0], highlights: { title: ['**Running** **MongoDB** in production'] } }]);
+  });
+});
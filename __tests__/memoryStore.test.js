@@ -0,0 +1,94 @@
+const { MemoryStore } = require('../src/utils/cacheStore');
+const CacheManager = require('../src/core/CacheManager');
+
+describe('MemoryStore limits', () => {
+  let store;
+
+  afterEach(async () => {
+    if (store) await store.close();
+  });
+
+  it('evicts the least recently used entry past maxEntries', async () => {
+    store = new MemoryStore({ maxEntries: 2, sweepInterval: 0 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a'); // a is now more recent than b
+    await store.set('c', 3);
+
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+    expect(store.stats().evictions).toBe(1);
+  });
+
+  it('evicts by approximate byte size and skips values larger than the cache', async () => {
+    store = new MemoryStore({ maxEntries: 0, maxSize: 20, sweepInterval: 0 });
+    await store.set('a', 'x'.repeat(8)); // 10 bytes as JSON
+    await store.set('b', 'y'.repeat(8));
+    await store.set('c', 'z'.repeat(8));
+
+    expect(store.stats()).toMatchObject({ size: 2, bytes: 20, evictions: 1 });
+    expect(await store.get('a')).toBeUndefined();
+
+    await store.set('huge', 'h'.repeat(100));
+    expect(await store.get('huge')).toBeUndefined();
+    expect(store.stats().size).toBe(2);
+  });
+
+  it('expires entries on read and in the background sweep', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    store = new MemoryStore({ sweepInterval: 0 });
+    await store.set('short', 1, 1);
+    await store.set('swept', 2, 1);
+    await store.set('forever', 3);
+    await store.tag('swept', ['t']);
+
+    now.mockReturnValue(2500);
+    expect(await store.get('short')).toBeUndefined();
+
+    store.sweep();
+    expect(store.entries.has('swept')).toBe(false);
+    expect(store.tags.has('t')).toBe(false);
+    expect(await store.get('forever')).toBe(3);
+    expect(store.stats().expirations).toBe(2);
+    now.mockRestore();
+  });
+
+  it('runs the sweep on its interval', async () => {
+    jest.useFakeTimers();
+    store = new MemoryStore({ sweepInterval: 1000 });
+    const sweep = jest.spyOn(store, 'sweep');
+
+    jest.advanceTimersByTime(3000);
+    expect(sweep).toHaveBeenCalledTimes(3);
+
+    await store.close();
+    jest.advanceTimersByTime(3000);
+    expect(sweep).toHaveBeenCalledTimes(3);
+    jest.useRealTimers();
+  });
+});
+
+describe('CacheManager statistics', () => {
+  it('reports hits, misses and the memory store usage', async () => {
+    const cache = new CacheManager('User', {
+      enableCache: true,
+      cacheTTL: 60,
+      cache: { memory: { maxEntries: 1, sweepInterval: 0 } }
+    });
+
+    await cache.read('a', async () => 'alice');
+    await cache.read('a', async () => 'alice');
+    await cache.read('b', async () => 'bob');
+
+    expect(await cache.getStats()).toMatchObject({
+      hits: 1,
+      misses: 2,
+      hitRate: 1 / 3,
+      size: 1,
+      maxEntries: 1,
+      evictions: 1
+    });
+    await cache.close();
+  });
+});
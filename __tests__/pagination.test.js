@@ -0,0 +1,220 @@
+const PaginationManager = require('../src/core/PaginationManager');
+const { QueryBuilder } = require('../src/builders/queryBuilder');
+
+const noCache = { readQuery: (options, entry, run) => run() };
+
+// find() stand-in that records the modifiers it was given and pages `rows`
+const pagedModel = (rows = []) => {
+  const calls = [];
+  const Model = {
+    modelName: 'PagedRow',
+    calls,
+    countDocuments: jest.fn(async () => rows.length),
+    estimatedDocumentCount: jest.fn(async () => rows.length),
+    find: jest.fn(() => {
+      const range = { skip: 0, limit: Infinity };
+      const query = {};
+      ['sort', 'select', 'populate', 'collation', 'hint', 'lean'].forEach(name => {
+        query[name] = (...args) => {
+          calls.push([name, ...args]);
+          return query;
+        };
+      });
+      query.skip = (skip) => { range.skip = skip; return query; };
+      query.limit = (limit) => { range.limit = limit; return query; };
+      query.then = (resolve, reject) => Promise.resolve(rows.slice(range.skip, range.skip + range.limit)).then(resolve, reject);
+      return query;
+    })
+  };
+  return Model;
+};
+
+const docs = count => Array.from({ length: count }, (_, i) => ({ _id: i + 1 }));
+
+describe('paginate() query options', () => {
+  it('returns lean rows sorted by the default sort', async () => {
+    const Model = pagedModel(docs(3));
+    const { data } = await new PaginationManager(Model, {}, noCache).paginate({ active: true });
+
+    expect(Model.find).toHaveBeenCalledWith({ active: true });
+    expect(data).toHaveLength(3);
+    expect(Model.calls).toEqual([['sort', { createdAt: -1 }], ['lean']]);
+  });
+
+  it('applies select, populate, collation and hint, and lean: false', async () => {
+    const Model = pagedModel(docs(3));
+    const collation = { locale: 'en', strength: 2 };
+
+    await new PaginationManager(Model, {}, noCache).paginate({ name: 'ann' }, {
+      sort: { name: 1 },
+      select: 'name email',
+      populate: { path: 'team', select: 'name' },
+      collation,
+      hint: { name: 1 },
+      lean: false
+    });
+
+    expect(Model.calls).toEqual([
+      ['sort', { name: 1 }],
+      ['select', 'name email'],
+      ['populate', { path: 'team', select: 'name' }],
+      ['collation', collation],
+      ['hint', { name: 1 }]
+    ]);
+    // The count agrees with the page on which documents match
+    expect(Model.countDocuments).toHaveBeenCalledWith({ name: 'ann' }, { collation, hint: { name: 1 } });
+  });
+
+  it('takes defaults from the instance options', async () => {
+    const Model = pagedModel(docs(3));
+    await new PaginationManager(Model, { lean: false, sort: { _id: 1 } }, noCache).paginate();
+
+    expect(Model.calls).toEqual([['sort', { _id: 1 }]]);
+  });
+
+  it('takes select and lean from a QueryBuilder, with call options winning', async () => {
+    const Model = pagedModel(docs(3));
+    const pagination = new PaginationManager(Model, {}, noCache);
+
+    await new QueryBuilder(Model, null, { pagination })
+      .where({ active: true })
+      .select('name')
+      .lean(false)
+      .paginate({ select: 'name email' });
+
+    expect(Model.find).toHaveBeenCalledWith({ active: true });
+    expect(Model.calls).toEqual([['sort', { createdAt: -1 }], ['select', 'name email']]);
+  });
+});
+
+describe('paginate() count modes', () => {
+  const manager = Model => new PaginationManager(Model, {}, noCache);
+
+  it('counts exactly by default', async () => {
+    const Model = pagedModel(docs(25));
+    const { pagination } = await manager(Model).paginate({ active: true }, { page: 2, limit: 10 });
+
+    expect(pagination).toEqual({
+      total: 25, page: 2, limit: 10, pages: 3, hasNextPage: true, hasPrevPage: true, countMode: 'exact'
+    });
+    expect(Model.countDocuments).toHaveBeenCalledWith({ active: true }, {});
+  });
+
+  it('estimates unfiltered counts and falls back to exact with a filter', async () => {
+    const Model = pagedModel(docs(25));
+
+    const unfiltered = await manager(Model).paginate({}, { count: 'estimated' });
+    expect(unfiltered.pagination).toMatchObject({ total: 25, countMode: 'estimated' });
+    expect(Model.countDocuments).not.toHaveBeenCalled();
+
+    const filtered = await manager(Model).paginate({ active: true }, { count: 'estimated' });
+    expect(filtered.pagination.countMode).toBe('exact');
+    expect(Model.estimatedDocumentCount).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps the count at maxCount and flags when there are more', async () => {
+    const Model = pagedModel(docs(25));
+
+    const { data, pagination } = await manager(Model).paginate({}, { count: 'capped', maxCount: 20, limit: 10 });
+    expect(Model.countDocuments).toHaveBeenCalledWith({}, { limit: 21 });
+    expect(data).toHaveLength(10);
+    expect(pagination).toMatchObject({ total: 20, pages: 2, capped: true, hasNextPage: true, countMode: 'capped' });
+
+    const under = await manager(pagedModel(docs(5))).paginate({}, { count: 'capped', maxCount: 20 });
+    expect(under.pagination).toMatchObject({ total: 5, capped: false, hasNextPage: false });
+  });
+
+  it('skips the count and probes one extra row with none', async () => {
+    const Model = pagedModel(docs(11));
+
+    const first = await manager(Model).paginate({}, { count: 'none', limit: 10 });
+    expect(first.data).toHaveLength(10);
+    expect(first.pagination).toMatchObject({ total: null, pages: null, hasNextPage: true, countMode: 'none' });
+
+    const last = await manager(Model).paginate({}, { count: 'none', limit: 10, page: 2 });
+    expect(last.data).toHaveLength(1);
+    expect(last.pagination.hasNextPage).toBe(false);
+    expect(Model.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown count modes', async () => {
+    await expect(manager(pagedModel()).paginate({}, { count: 'fast' }))
+      .rejects.toThrow('Unknown count mode "fast"; expected one of exact, estimated, capped, none');
+  });
+});
+
+describe('paginateAggregate() with facet', () => {
+  // aggregate() stand-in: $facet pipelines get `facetResult`, others page `rows` or count them
+  const aggregateModel = (rows, facetResult) => {
+    const aggregate = jest.fn(pipeline => {
+      const facet = pipeline.find(stage => stage.$facet);
+      const count = pipeline.find(stage => stage.$count);
+      const skip = (pipeline.find(stage => stage.$skip) || {}).$skip || 0;
+      const limit = (pipeline.find(stage => stage.$limit) || {}).$limit;
+      const result = () => {
+        if (facet) return facetResult();
+        if (count) return [{ total: rows.length }];
+        return rows.slice(skip, skip + limit);
+      };
+      return { option: jest.fn(async () => result()) };
+    });
+    return { modelName: 'AggregateRow', aggregate };
+  };
+
+  const tooLarge = () => {
+    const error = new Error('BSONObjectTooLarge: document exceeds maximum document size');
+    error.code = 10334;
+    throw error;
+  };
+
+  it('reads the page and the total in one $facet pipeline', async () => {
+    const Model = aggregateModel([], () => [{ data: [{ _id: 3 }], total: [{ total: 3 }] }]);
+    const result = await new PaginationManager(Model, {}, noCache)
+      .paginateAggregate([{ $match: { paid: true } }], { page: 2, limit: 2, facet: true, allowDiskUse: true });
+
+    expect(Model.aggregate).toHaveBeenCalledTimes(1);
+    expect(Model.aggregate.mock.calls[0][0]).toEqual([
+      { $match: { paid: true } },
+      { $facet: { data: [{ $skip: 2 }, { $limit: 2 }], total: [{ $count: 'total' }] } }
+    ]);
+    expect(Model.aggregate.mock.results[0].value.option).toHaveBeenCalledWith({ allowDiskUse: true });
+    expect(result).toEqual({
+      data: [{ _id: 3 }],
+      pagination: { total: 3, page: 2, limit: 2, pages: 2, hasNextPage: false, hasPrevPage: true }
+    });
+  });
+
+  it('reports an empty total for an empty $facet result', async () => {
+    const Model = aggregateModel([], () => [{ data: [], total: [] }]);
+    const { pagination } = await new PaginationManager(Model, {}, noCache).paginateAggregate([], { facet: true });
+
+    expect(pagination).toMatchObject({ total: 0, pages: 0, hasNextPage: false });
+  });
+
+  it('falls back to two pipelines when the page is over 16MB', async () => {
+    const Model = aggregateModel(docs(5), tooLarge);
+    const result = await new PaginationManager(Model, {}, noCache)
+      .paginateAggregate([{ $match: {} }], { page: 2, limit: 2, facet: true, maxTimeMS: 500 });
+
+    expect(Model.aggregate).toHaveBeenCalledTimes(3);
+    expect(Model.aggregate.mock.calls.slice(1).map(([pipeline]) => pipeline)).toEqual([
+      [{ $match: {} }, { $skip: 2 }, { $limit: 2 }],
+      [{ $match: {} }, { $count: 'total' }]
+    ]);
+    Model.aggregate.mock.results.forEach(({ value }) => {
+      expect(value.option).toHaveBeenCalledWith({ maxTimeMS: 500 });
+    });
+    expect(result.data).toEqual([{ _id: 3 }, { _id: 4 }]);
+    expect(result.pagination).toMatchObject({ total: 5, pages: 3, hasNextPage: true });
+  });
+
+  it('rethrows other aggregation errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const Model = aggregateModel([], () => { throw new Error('$lookup failed'); });
+
+    await expect(new PaginationManager(Model, {}, noCache).paginateAggregate([], { facet: true }))
+      .rejects.toThrow('$lookup failed');
+    expect(Model.aggregate).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,79 @@
+const { toRelayConnection } = require('../src/utils/paginationLinks');
+const { encodeOffsetCursor, decodeOffsetCursor } = require('../src/helpers/cursor');
+const PaginationManager = require('../src/core/PaginationManager');
+
+describe('toRelayConnection', () => {
+  it('uses the per-row cursors of cursor results', () => {
+    const connection = toRelayConnection({
+      data: [{ name: 'a' }, { name: 'b' }],
+      pagination: { limit: 2, hasNextPage: true, hasPrevPage: false, startCursor: 'c1', endCursor: 'c2', cursors: ['c1', 'c2'] }
+    });
+
+    expect(connection).toEqual({
+      edges: [{ node: { name: 'a' }, cursor: 'c1' }, { node: { name: 'b' }, cursor: 'c2' }],
+      pageInfo: { hasNextPage: true, hasPreviousPage: false, startCursor: 'c1', endCursor: 'c2' }
+    });
+  });
+
+  it('gives numbered pages offset cursors', () => {
+    const connection = toRelayConnection({
+      data: [{ name: 'c' }, { name: 'd' }],
+      pagination: { total: 5, page: 2, limit: 2, pages: 3, hasNextPage: true, hasPrevPage: true }
+    });
+
+    expect(connection.edges.map(edge => decodeOffsetCursor(edge.cursor))).toEqual([2, 3]);
+    expect(connection.pageInfo).toEqual({
+      hasNextPage: true,
+      hasPreviousPage: true,
+      startCursor: connection.edges[0].cursor,
+      endCursor: connection.edges[1].cursor
+    });
+    expect(connection.totalCount).toBe(5);
+  });
+
+  it('rejects malformed offset cursors', () => {
+    expect(decodeOffsetCursor(encodeOffsetCursor(7))).toBe(7);
+    expect(() => decodeOffsetCursor('not-a-cursor')).toThrow('Invalid pagination cursor');
+  });
+
+  it('needs withCursors for cursor results', () => {
+    expect(() => toRelayConnection({
+      data: [{ name: 'a' }],
+      pagination: { limit: 1, startCursor: 'c1', endCursor: 'c1' }
+    })).toThrow('withCursors: true');
+  });
+});
+
+describe('paginate() with offset cursors', () => {
+  const rows = ['a', 'b', 'c', 'd', 'e'].map(name => ({ name }));
+  const Model = {
+    modelName: 'OffsetRow',
+    find: () => {
+      const range = { skip: 0, limit: Infinity };
+      const query = {
+        sort: () => query,
+        skip: (skip) => { range.skip = skip; return query; },
+        limit: (limit) => { range.limit = limit; return query; },
+        lean: () => query,
+        then: (resolve, reject) => Promise.resolve(rows.slice(range.skip, range.skip + range.limit)).then(resolve, reject)
+      };
+      return query;
+    },
+    countDocuments: async () => rows.length
+  };
+  const manager = new PaginationManager(Model, {}, { readQuery: (options, entry, run) => run() });
+
+  it('continues after the end cursor of a numbered page', async () => {
+    const first = toRelayConnection(await manager.paginate({}, { page: 1, limit: 2 }));
+    const next = await manager.paginate({}, { limit: 2, after: first.pageInfo.endCursor });
+
+    expect(next.data).toEqual([{ name: 'c' }, { name: 'd' }]);
+    expect(next.pagination).toMatchObject({ page: 2, offset: 2, hasNextPage: true, hasPrevPage: true });
+
+    // Cursors of a page reached by `after` keep counting from its offset
+    const connection = toRelayConnection(await manager.paginate({}, { limit: 2, after: encodeOffsetCursor(2) }));
+    expect(connection.edges.map(edge => edge.node.name)).toEqual(['d', 'e']);
+    expect(decodeOffsetCursor(connection.pageInfo.startCursor)).toBe(3);
+    expect(connection.pageInfo.hasNextPage).toBe(false);
+  });
+});
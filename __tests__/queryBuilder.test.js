@@ -0,0 +1,106 @@
+const { QueryBuilder, mergeConditions } = require('../src/builders/queryBuilder');
+
+const query = () => new QueryBuilder({ modelName: 'QueryUser' });
+
+describe('mergeConditions', () => {
+  it('deep-merges operators on the same field', () => {
+    expect(mergeConditions({ age: { $gt: 18 } }, { age: { $lt: 65 }, status: 'active' }))
+      .toEqual({ age: { $gt: 18, $lt: 65 }, status: 'active' });
+  });
+
+  it('keeps clashing operators side by side in $and', () => {
+    expect(mergeConditions({ age: { $gt: 18 } }, { age: { $gt: 21 } }))
+      .toEqual({ age: { $gt: 18 }, $and: [{ age: { $gt: 21 } }] });
+  });
+
+  it('keeps conflicting equality instead of overwriting it', () => {
+    const filter = mergeConditions({ status: 'active' }, { status: 'banned' });
+    // Both must hold, so nothing matches, as two where() calls would mean
+    expect(filter).toEqual({ status: 'active', $and: [{ status: 'banned' }] });
+  });
+
+  it('concatenates $and and $nor lists', () => {
+    expect(mergeConditions(
+      { $and: [{ a: 1 }], $nor: [{ b: 1 }] },
+      { $and: [{ c: 1 }], $nor: [{ d: 1 }] }
+    )).toEqual({ $and: [{ a: 1 }, { c: 1 }], $nor: [{ b: 1 }, { d: 1 }] });
+  });
+
+  it('does not mutate its inputs', () => {
+    const target = { age: { $gt: 18 } };
+    mergeConditions(target, { age: { $lt: 65 } });
+    expect(target).toEqual({ age: { $gt: 18 } });
+  });
+});
+
+describe('QueryBuilder grouping', () => {
+  it('merges where() calls instead of replacing them', () => {
+    const filter = query().where({ age: { $gt: 18 } }).where({ age: { $lt: 65 } }).getFilter();
+    expect(filter).toEqual({ age: { $gt: 18, $lt: 65 } });
+  });
+
+  it('ANDs where() conditions with the orWhere() branches', () => {
+    const filter = query()
+      .where({ status: 'active' })
+      .orWhere(qb => qb.where({ role: 'admin' }))
+      .orWhere(qb => qb.whereGte('age', 18).whereExists('verifiedAt'))
+      .getFilter();
+
+    // status AND (role OR (age AND verifiedAt))
+    expect(filter).toEqual({
+      status: 'active',
+      $or: [
+        { role: 'admin' },
+        { age: { $gte: 18 }, verifiedAt: { $exists: true } }
+      ]
+    });
+  });
+
+  it('keeps separate $or groups apart with andWhere()', () => {
+    const filter = query()
+      .orWhere(qb => qb.where({ role: 'admin' }))
+      .orWhere(qb => qb.where({ role: 'owner' }))
+      .andWhere(qb => qb
+        .orWhere(group => group.where({ plan: 'pro' }))
+        .orWhere(group => group.where({ trial: true })))
+      .getFilter();
+
+    // (admin OR owner) AND (pro OR trial), not one four-way $or
+    expect(filter).toEqual({
+      $or: [{ role: 'admin' }, { role: 'owner' }],
+      $and: [{ $or: [{ plan: 'pro' }, { trial: true }] }]
+    });
+  });
+
+  it('ignores empty andWhere() groups', () => {
+    expect(query().where({ a: 1 }).andWhere(() => {}).getFilter()).toEqual({ a: 1 });
+  });
+
+  it('negates values, operators and groups with not()', () => {
+    const filter = query()
+      .not('status', 'banned')
+      .not('age', { $gt: 65 })
+      .not('name', /^test/)
+      .not(qb => qb.where({ role: 'admin' }).whereExists('deletedAt'))
+      .getFilter();
+
+    expect(filter).toEqual({
+      status: { $ne: 'banned' },
+      age: { $not: { $gt: 65 } },
+      name: { $not: /^test/ },
+      $nor: [{ role: 'admin', deletedAt: { $exists: true } }]
+    });
+  });
+
+  it('merges not() with other conditions on the field', () => {
+    const filter = query().whereGte('age', 18).not('age', { $gt: 65 }).getFilter();
+    expect(filter).toEqual({ age: { $gte: 18, $not: { $gt: 65 } } });
+  });
+
+  it('escapes whereRegex() strings unless asked not to', () => {
+    expect(query().whereRegex('email', 'a.b+c').getFilter())
+      .toEqual({ email: { $regex: 'a\\.b\\+c', $options: 'i' } });
+    expect(query().whereRegex('email', '^a.', { escape: false, caseInsensitive: false }).getFilter())
+      .toEqual({ email: { $regex: '^a.', $options: '' } });
+  });
+});
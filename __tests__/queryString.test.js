@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { parseQueryString } = require('../src/builders/queryBuilder');
+const SearchManager = require('../src/core/SearchManager');
+
+const accountSchema = () => {
+  const schema = new mongoose.Schema({
+    name: String,
+    status: String,
+    passwordHash: String,
+    searchableText: String
+  });
+  schema.index({ searchableText: 'text' });
+  return schema;
+};
+
+describe('parseQueryString allowlist', () => {
+  const schema = accountSchema();
+
+  it('only allows text-indexed paths by default', () => {
+    expect(parseQueryString('searchableText:alice', { schema })).toEqual({ searchableText: 'alice' });
+    expect(() => parseQueryString('passwordHash:abc', { schema }))
+      .toThrow('Field "passwordHash" is not searchable');
+  });
+
+  it('allows wider fields when callers opt in', () => {
+    expect(parseQueryString('status:active', { schema, allowedFields: ['status'] })).toEqual({ status: 'active' });
+    expect(parseQueryString('passwordHash:abc', { schema, allowedFields: '*' })).toEqual({ passwordHash: 'abc' });
+    expect(() => parseQueryString('nope:1', { schema, allowedFields: '*' })).toThrow('Field "nope" is not searchable');
+  });
+});
+
+describe('SearchManager queryFields', () => {
+  const Account = mongoose.model('QueryStringAccount', accountSchema());
+
+  const managerFor = search => new SearchManager(Account, { search }, { readQuery: jest.fn(async () => []) });
+
+  it('defaults to the search-indexed fields', async () => {
+    const manager = managerFor({ fuzzy: { fields: ['name'] } });
+    expect(manager.queryFields).toEqual(['searchableText', 'name']);
+
+    await manager.search({ q: 'name:alice' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(manager.search({ q: 'passwordHash:abc' })).rejects.toThrow('is not searchable');
+    console.error.mockRestore();
+  });
+
+  it('uses search.queryFields when set', () => {
+    expect(managerFor({ queryFields: ['status'] }).queryFields).toEqual(['status']);
+    expect(managerFor({ queryFields: '*' }).queryFields).toBe('*');
+  });
+});
@@ -0,0 +1,102 @@
+const { EasyMongo } = require('../src');
+const { QueryBuilder, validateScopes } = require('../src/builders/queryBuilder');
+
+const scopes = {
+  active: qb => qb.where({ status: 'active' }),
+  notDeleted: qb => qb.whereNe('isDeleted', true),
+  olderThan: (qb, age) => qb.whereGt('age', age)
+};
+
+const query = (defaultScopes = ['notDeleted']) => new QueryBuilder({ modelName: 'ScopedUser' }, null, { scopes, defaultScopes });
+
+describe('validateScopes', () => {
+  it('accepts scope functions and known default scopes', () => {
+    expect(() => validateScopes(scopes, ['notDeleted'])).not.toThrow();
+    expect(() => validateScopes()).not.toThrow();
+  });
+
+  it('rejects scopes that are not functions', () => {
+    expect(() => validateScopes({ active: { status: 'active' } }))
+      .toThrow('Scope "active" must be a function');
+  });
+
+  it('rejects names that would shadow builder methods or state', () => {
+    ['where', 'paginate', 'eachBatch', 'query', 'options'].forEach(name => {
+      expect(() => validateScopes({ [name]: () => {} }))
+        .toThrow(`Scope "${name}" conflicts with a QueryBuilder method`);
+    });
+  });
+
+  it('rejects unknown default scopes', () => {
+    expect(() => validateScopes(scopes, ['archived'])).toThrow('Unknown default scope "archived"');
+  });
+});
+
+describe('QueryBuilder scopes', () => {
+  it('chains named scopes with arguments', () => {
+    expect(query([]).active().olderThan(30).getFilter())
+      .toEqual({ status: 'active', age: { $gt: 30 } });
+  });
+
+  it('throws for unknown scopes', () => {
+    expect(() => query().scope('archived')).toThrow('Unknown scope "archived"');
+    expect(query().archived).toBeUndefined();
+  });
+
+  it('applies default scopes to the filter', () => {
+    expect(query().active().getFilter())
+      .toEqual({ isDeleted: { $ne: true }, status: 'active' });
+  });
+
+  it('opts out of all or some default scopes with unscoped()', () => {
+    expect(query().unscoped().active().getFilter()).toEqual({ status: 'active' });
+    expect(query(['notDeleted', 'active']).unscoped('active').getFilter())
+      .toEqual({ isDeleted: { $ne: true } });
+  });
+
+  it('uses named but not default scopes inside groups', () => {
+    const filter = query()
+      .orWhere(qb => qb.active())
+      .orWhere(qb => qb.olderThan(65))
+      .getFilter();
+
+    expect(filter).toEqual({
+      isDeleted: { $ne: true },
+      $or: [{ status: 'active' }, { age: { $gt: 65 } }]
+    });
+  });
+});
+
+describe('EasyMongo scopes', () => {
+  const db = new EasyMongo({
+    connection: { uri: 'mongodb://localhost:27017/scopes' },
+    model: {
+      name: 'ScopedAccount',
+      schema: { status: String, age: Number, isDeleted: Boolean },
+      scopes,
+      defaultScopes: ['notDeleted']
+    }
+  });
+
+  it('validates scopes from the model config', () => {
+    expect(() => new EasyMongo({
+      connection: { uri: 'mongodb://localhost:27017/scopes' },
+      model: { name: 'BadScopeAccount', schema: { status: String }, scopes, defaultScopes: ['archived'] }
+    })).toThrow('Unknown default scope "archived"');
+  });
+
+  it('gives every builder the named and default scopes', () => {
+    expect(db.query().active().getFilter())
+      .toEqual({ isDeleted: { $ne: true }, status: 'active' });
+    expect(db.largeDataset().olderThan(18).getFilter())
+      .toEqual({ isDeleted: { $ne: true }, age: { $gt: 18 } });
+  });
+
+  it('applies default scopes inside aggregateBuilder()', () => {
+    expect(db.aggregateBuilder().match(qb => qb.active()).limit(10).getPipeline()).toEqual([
+      { $match: { isDeleted: { $ne: true }, status: 'active' } },
+      { $limit: 10 }
+    ]);
+    expect(db.aggregateBuilder().unscoped().limit(10).getPipeline()).toEqual([{ $limit: 10 }]);
+  });
+});
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const {
+  searchableTextPlugin,
+  buildSearchableText,
+  searchTextPaths,
+  normalizeWeights,
+  SearchIndexManager
+} = require('../src/operations/searchIndex');
+const { QueryBuilder } = require('../src/builders/queryBuilder');
+
+const createModel = (name) => {
+  const schema = new mongoose.Schema({ title: String, author: { name: String }, tags: [String] });
+  schema.plugin(searchableTextPlugin, { fields: { title: 3, 'author.name': 1, tags: 2 } });
+  const Model = mongoose.model(name, schema);
+
+  // Capture what would be sent to MongoDB instead of needing a server
+  const writes = [];
+  ['insertOne', 'insertMany', 'updateOne', 'updateMany', 'findOneAndUpdate'].forEach(op => {
+    Model.collection[op] = jest.fn(async (...args) => {
+      writes.push({ op, args });
+      return op === 'findOneAndUpdate' ? { value: null } : { acknowledged: true };
+    });
+  });
+  return { Model, writes };
+};
+
+describe('searchableTextPlugin', () => {
+  it('text-indexes each source field with its weight', () => {
+    const { Model } = createModel('SearchIndexWeights');
+    const [fields, options] = Model.schema.indexes()
+      .find(([, indexOptions]) => indexOptions.name === 'searchableText_weighted_text');
+
+    expect(fields).toEqual({
+      'searchableText.title': 'text',
+      'searchableText.author_name': 'text',
+      'searchableText.tags': 'text'
+    });
+    expect(options.weights).toEqual({
+      'searchableText.title': 3,
+      'searchableText.author_name': 1,
+      'searchableText.tags': 2
+    });
+  });
+
+  it('stores each field once instead of repeating weighted text', () => {
+    expect(buildSearchableText(
+      { title: 'Mongo tips', author: { name: 'Ann' }, tags: ['db', 'nosql'] },
+      normalizeWeights({ title: 3, 'author.name': 1, tags: 2 })
+    )).toEqual({
+      'searchableText.title': 'Mongo tips',
+      'searchableText.author_name': 'Ann',
+      'searchableText.tags': 'db nosql'
+    });
+    expect(searchTextPaths('text', ['a.b', 'c'])).toEqual(['text.a_b', 'text.c']);
+  });
+
+  it('fills the text on save and insertMany', async () => {
+    const { Model, writes } = createModel('SearchIndexCreate');
+
+    await new Model({ title: 'Hello', tags: ['a'] }).save();
+    await Model.insertMany([{ title: 'Bulk', author: { name: 'Bo' } }]);
+
+    expect(writes[0].args[0].searchableText).toEqual({ title: 'Hello', author_name: '', tags: 'a' });
+    expect(writes[1].args[0][0].searchableText).toEqual({ title: 'Bulk', author_name: 'Bo', tags: '' });
+  });
+
+  it.each(['updateOne', 'updateMany', 'findOneAndUpdate'])('sets the text in the same %s write', async (op) => {
+    const { Model, writes } = createModel(`SearchIndex_${op}`);
+
+    await Model[op]({ title: 'Old' }, { title: 'New', $set: { author: { name: 'Cy' } }, $unset: { tags: 1 } });
+
+    expect(writes).toHaveLength(1);
+    const [, update] = writes[0].args;
+    expect(update.$set).toMatchObject({
+      'searchableText.title': 'New',
+      'searchableText.author_name': 'Cy'
+    });
+    expect(update.$unset).toMatchObject({ 'searchableText.tags': '' });
+  });
+
+  it('leaves updates of other fields alone', async () => {
+    const { Model, writes } = createModel('SearchIndexUntouched');
+
+    await Model.updateOne({ title: 'Old' }, { $set: { views: 3 } }, { strict: false });
+
+    expect(Object.keys(writes[0].args[1].$set)).toEqual(['views']);
+  });
+
+  it('keeps the text in sync for QueryBuilder.updateMany', async () => {
+    const { Model, writes } = createModel('SearchIndexQueryBuilder');
+    const builder = new QueryBuilder(Model, null, {
+      scopes: { published: qb => qb.whereExists('tags') },
+      defaultScopes: ['published']
+    });
+
+    await builder.where({ title: 'Old' }).updateMany({ $set: { title: 'New' } });
+
+    expect(writes).toHaveLength(1);
+    const [filter, update] = writes[0].args;
+    expect(filter).toEqual({ tags: { $exists: true }, title: 'Old' });
+    expect(update.$set).toEqual({ title: 'New', 'searchableText.title': 'New' });
+  });
+
+  it('drops the plain text index of earlier versions', async () => {
+    const { Model } = createModel('SearchIndexLegacy');
+    const manager = new SearchIndexManager(Model, { fields: ['title'] });
+    Model.collection.indexes = jest.fn(async () => [
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'searchableText_text', key: { _fts: 'text', _ftsx: 1 } }
+    ]);
+    Model.collection.dropIndex = jest.fn(async () => {});
+
+    expect(manager.indexName).toBe('searchableText_weighted_text');
+    expect(await manager.dropLegacyTextIndex()).toBe(true);
+    expect(Model.collection.dropIndex).toHaveBeenCalledWith('searchableText_text');
+
+    Model.collection.indexes = jest.fn(async () => {
+      throw Object.assign(new Error('ns does not exist'), { code: 26 });
+    });
+    expect(await manager.dropLegacyTextIndex()).toBe(false);
+  });
+
+  it('backfills through per-field $set entries', () => {
+    const { Model } = createModel('SearchIndexManager');
+    const manager = new SearchIndexManager(Model, { fields: ['title'] });
+
+    expect(manager.paths).toEqual(['searchableText.title']);
+    expect(manager.build({ title: 'x' })).toEqual({ 'searchableText.title': 'x' });
+  });
+});
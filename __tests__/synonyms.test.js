@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const SynonymManager = require('../src/operations/synonyms');
+const SearchManager = require('../src/core/SearchManager');
+
+describe('SynonymManager reloading', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('picks up groups stored by other processes', async () => {
+    jest.useFakeTimers();
+    const synonyms = new SynonymManager({ collection: 'ReloadedSynonyms', reloadInterval: 1000 });
+    const stored = [{ terms: ['tv', 'television'] }];
+    synonyms.SynonymModel.find = jest.fn(() => ({ lean: async () => stored }));
+
+    await synonyms.load();
+    synonyms.startReloading();
+    expect(synonyms.synonymsOf('tv')).toEqual(['television']);
+
+    // Another process adds a group and removes the first one
+    stored.splice(0, 1, { terms: ['sofa', 'couch'] });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(synonyms.getGroups()).toEqual([['sofa', 'couch']]);
+    expect(synonyms.synonymsOf('tv')).toEqual([]);
+
+    synonyms.stop();
+    stored.length = 0;
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(synonyms.getGroups()).toEqual([['sofa', 'couch']]);
+  });
+
+  it('does not reload without a collection or with reloadInterval: 0', () => {
+    const inMemory = new SynonymManager({ groups: [['tv', 'television']] });
+    inMemory.startReloading();
+    expect(inMemory.reloadTimer).toBeUndefined();
+
+    const disabled = new SynonymManager({ collection: 'ReloadedSynonyms', reloadInterval: 0 });
+    disabled.startReloading();
+    expect(disabled.reloadTimer).toBeUndefined();
+  });
+});
+
+describe('SearchManager regex search', () => {
+  const Product = mongoose.model('SynonymProduct', new mongoose.Schema({ searchableText: String }));
+
+  const filterFor = async (synonyms, text) => {
+    const readQuery = jest.fn(async () => []);
+    await new SearchManager(Product, {}, { readQuery }, synonyms).search({ text });
+    return readQuery.mock.calls[0][1].descriptor.filter;
+  };
+
+  it('escapes a single variant', async () => {
+    expect(await filterFor(new SynonymManager(), 'c++ (beta)')).toEqual({
+      searchableText: { $regex: 'c\\+\\+ \\(beta\\)', $options: 'i' }
+    });
+  });
+
+  it('escapes synonym variants', async () => {
+    const filter = await filterFor(new SynonymManager({ groups: [['c++', 'cpp']] }), 'c++');
+    expect(filter.searchableText.$in).toEqual([/c\+\+/i, /cpp/i]);
+  });
+});
@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const { efficientAggregation } = require('../operations/aggregation');
+const { pipelineTags } = require('../helpers/cacheTags');
+const PaginationManager = require('../core/PaginationManager');
+const { QueryBuilder, mergeConditions } = require('./queryBuilder');
+
+const WRITE_STAGES = ['$merge', '$out'];
+// Stages MongoDB only accepts at the start of a pipeline
+const FIRST_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats'];
+
+const isPlainObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * 'amount' -> '$amount'; expressions and literals are left as they are
+ */
+const fieldRef = (field) => (typeof field === 'string' && !field.startsWith('$') ? `$${field}` : field);
+
+/**
+ * 'name -createdAt' -> { name: 1, createdAt: -1 }
+ */
+const toSortSpec = (sort) => {
+  if (typeof sort !== 'string') return sort;
+  return sort.split(/\s+/).filter(Boolean).reduce((spec, key) => ({
+    ...spec,
+    ...(key.startsWith('-') ? { [key.slice(1)]: -1 } : { [key.replace(/^\+/, '')]: 1 })
+  }), {});
+};
+
+/**
+ * Accumulator shorthand: 'count' -> { $sum: 1 }, { sum: 'amount' } -> { $sum: '$amount' }.
+ * A `window` key is kept for $setWindowFields; raw operator objects pass through.
+ */
+const buildAccumulator = (spec) => {
+  if (spec === 'count') return { $sum: 1 };
+  if (!isPlainObject(spec)) return spec;
+
+  const { window, ...rest } = spec;
+  const operators = Object.keys(rest);
+  if (operators.length !== 1 || operators[0].startsWith('$')) return spec;
+
+  const [operator] = operators;
+  return {
+    [`$${operator}`]: fieldRef(rest[operator]),
+    ...(window ? { window } : {})
+  };
+};
+
+const buildAccumulators = (accumulators = {}) => Object.entries(accumulators)
+  .reduce((acc, [name, spec]) => ({ ...acc, [name]: buildAccumulator(spec) }), {});
+
+/**
+ * Collection name for a model name, Mongoose model or EasyMongo instance;
+ * anything else is taken to be a collection name already
+ */
+const resolveCollection = (target) => {
+  const model = target && target.Model ? target.Model : target;
+  if (model && model.collection && model.collection.collectionName) {
+    return model.collection.collectionName;
+  }
+  if (typeof target === 'string' && mongoose.models[target]) {
+    return mongoose.models[target].collection.collectionName;
+  }
+  return target;
+};
+
+class AggregateBuilder {
+  /**
+   * @param {Object} model - Mongoose model
+   * @param {Object} cacheManager - Shared cache manager
+   * @param {Object} context - { pagination, scopes, defaultScopes } of the owning EasyMongo instance
+   */
+  constructor(model, cacheManager = null, context = {}) {
+    this.Model = model;
+    this.cacheManager = cacheManager;
+    this.context = context;
+    this.defaultScopes = [...(context.defaultScopes || [])];
+    this.pipeline = [];
+    this.aggregateOptions = {};
+    this.cacheOptions = null;
+  }
+
+  /**
+   * Append a raw stage
+   * @param {Object} stage - Aggregation stage
+   */
+  stage(stage) {
+    const last = this.pipeline[this.pipeline.length - 1];
+    if (last && WRITE_STAGES.some(name => name in last)) {
+      throw new Error('$merge and $out must be the last stage of a pipeline');
+    }
+    this.pipeline.push(stage);
+    return this;
+  }
+
+  /**
+   * Skip the default scopes: all of them, or only the ones named
+   * @param {...string} names - Default scopes to skip
+   */
+  unscoped(...names) {
+    this.defaultScopes = names.length > 0
+      ? this.defaultScopes.filter(name => !names.includes(name))
+      : [];
+    return this;
+  }
+
+  /**
+   * Filter documents. Consecutive matches are merged into one $match.
+   * @param {Object|Function} conditions - Filter, or a function that builds one
+   *   on a QueryBuilder (named scopes included)
+   */
+  match(conditions = {}) {
+    let filter = conditions;
+    if (typeof conditions === 'function') {
+      const builder = new QueryBuilder(this.Model, null, { scopes: this.context.scopes });
+      conditions(builder);
+      filter = builder.getFilter();
+    }
+
+    const last = this.pipeline[this.pipeline.length - 1];
+    if (last && last.$match) {
+      last.$match = mergeConditions(last.$match, filter);
+      return this;
+    }
+    return this.stage({ $match: filter });
+  }
+
+  /**
+   * Join another collection
+   * @param {Object} options - { from, localField, foreignField, as, let, pipeline }
+   * @param {string|Object} options.from - Model name, Mongoose model, EasyMongo instance or collection name
+   * @param {Array|Function} options.pipeline - Stages, or a function that builds them on an AggregateBuilder
+   */
+  lookup({ from, pipeline, ...options }) {
+    const lookup = { from: resolveCollection(from), ...options };
+    if (pipeline) {
+      lookup.pipeline = this._buildPipeline(pipeline);
+    }
+    return this.stage({ $lookup: lookup });
+  }
+
+  /**
+   * @param {string} path - Array field
+   * @param {Object} options - { preserveNullAndEmptyArrays, includeArrayIndex }
+   */
+  unwind(path, options = {}) {
+    return this.stage({ $unwind: { path: fieldRef(path), ...options } });
+  }
+
+  /**
+   * @param {Object|string} projection - Projection, or 'name email -_id'
+   */
+  project(projection) {
+    const spec = typeof projection === 'string'
+      ? Object.fromEntries(projection.split(/\s+/).filter(Boolean).map(field => (
+        field.startsWith('-') ? [field.slice(1), 0] : [field, 1]
+      )))
+      : projection;
+    return this.stage({ $project: spec });
+  }
+
+  addFields(fields) {
+    return this.stage({ $addFields: fields });
+  }
+
+  /**
+   * Group documents
+   * @param {string|Array|Object|null} by - Field, list of fields, _id expression, or null for one group
+   * @param {Object} accumulators - { name: 'count' | { sum: 'amount' } | { $push: '$$ROOT' } }
+   */
+  group(by, accumulators = {}) {
+    const id = Array.isArray(by)
+      ? Object.fromEntries(by.map(field => [field.replace(/\./g, '_'), fieldRef(field)]))
+      : fieldRef(by === undefined ? null : by);
+    return this.stage({ $group: { _id: id, ...buildAccumulators(accumulators) } });
+  }
+
+  /**
+   * @param {string|Object} groupBy - Field or expression
+   * @param {Array} boundaries - Sorted bucket boundaries
+   * @param {Object} options - { default, output }
+   */
+  bucket(groupBy, boundaries, { default: defaultBucket, output } = {}) {
+    const bucket = { groupBy: fieldRef(groupBy), boundaries };
+    if (defaultBucket !== undefined) bucket.default = defaultBucket;
+    if (output) bucket.output = buildAccumulators(output);
+    return this.stage({ $bucket: bucket });
+  }
+
+  /**
+   * Window functions (running totals, ranks, moving averages)
+   * @param {Object} options - { partitionBy, sortBy, output }
+   * @param {Object} options.output - { name: { sum: 'amount', window: { documents: ['unbounded', 'current'] } } }
+   */
+  setWindowFields({ partitionBy, sortBy, output = {} }) {
+    const spec = { output: buildAccumulators(output) };
+    if (partitionBy !== undefined) spec.partitionBy = fieldRef(partitionBy);
+    if (sortBy) spec.sortBy = toSortSpec(sortBy);
+    return this.stage({ $setWindowFields: spec });
+  }
+
+  /**
+   * Several sub-pipelines over the same input
+   * @param {Object} branches - { name: stages | (ab => ab.group(...)) }
+   */
+  facet(branches) {
+    const facet = Object.entries(branches).reduce((acc, [name, branch]) => ({
+      ...acc,
+      [name]: this._buildPipeline(branch)
+    }), {});
+    return this.stage({ $facet: facet });
+  }
+
+  sort(sortBy) {
+    return this.stage({ $sort: toSortSpec(sortBy) });
+  }
+
+  skip(skip) {
+    return this.stage({ $skip: skip });
+  }
+
+  limit(limit) {
+    return this.stage({ $limit: limit });
+  }
+
+  /**
+   * Write the results into a collection, merging with what is there
+   * @param {string|Object} into - Model name, model, EasyMongo instance, collection name or { db, coll }
+   * @param {Object} options - { on, let, whenMatched, whenNotMatched }
+   */
+  merge(into, options = {}) {
+    return this.stage({ $merge: { into: resolveCollection(into), ...options } });
+  }
+
+  /**
+   * Replace a collection with the results
+   * @param {string|Object} collection - Model name, model, EasyMongo instance or collection name
+   */
+  out(collection) {
+    return this.stage({ $out: resolveCollection(collection) });
+  }
+
+  allowDiskUse(enabled = true) {
+    this.aggregateOptions.allowDiskUse = enabled;
+    return this;
+  }
+
+  maxTimeMS(ms) {
+    this.aggregateOptions.maxTimeMS = ms;
+    return this;
+  }
+
+  batchSize(size) {
+    this.aggregateOptions.batchSize = size;
+    return this;
+  }
+
+  /**
+   * Cache the result of execute() or paginate()
+   * @param {Object} options - { ttl, key, tags, staleWhileRevalidate }
+   */
+  cache(options = {}) {
+    this.cacheOptions = options;
+    return this;
+  }
+
+  /**
+   * @returns {Array} - The pipeline built so far, starting with the default scopes' $match
+   */
+  getPipeline() {
+    if (this.defaultScopes.length === 0) {
+      return this.pipeline;
+    }
+
+    // Default scopes contribute their conditions only, never sort or limit
+    const defaults = new QueryBuilder(this.Model, null, { scopes: this.context.scopes });
+    this.defaultScopes.forEach(name => defaults.scope(name));
+    const filter = defaults.getFilter();
+
+    const start = this.pipeline.length > 0 && FIRST_STAGES.some(name => name in this.pipeline[0]) ? 1 : 0;
+    const next = this.pipeline[start];
+    if (next && next.$match) {
+      return [
+        ...this.pipeline.slice(0, start),
+        { $match: mergeConditions(filter, next.$match) },
+        ...this.pipeline.slice(start + 1)
+      ];
+    }
+    return [
+      ...this.pipeline.slice(0, start),
+      { $match: filter },
+      ...this.pipeline.slice(start)
+    ];
+  }
+
+  /**
+   * Run the pipeline with efficientAggregation (allowDiskUse and a 60s maxTimeMS by default)
+   * @returns {Promise<Array>} - Result documents; empty for $merge/$out pipelines
+   */
+  async execute() {
+    const pipeline = this.getPipeline();
+    const run = () => efficientAggregation(this.Model, pipeline, this.aggregateOptions);
+
+    const target = this._writeTarget();
+    if (target) {
+      const result = await run();
+      // Rewriting this model's own collection can change any cached read
+      if (this.cacheManager && target === this.Model.collection.collectionName) {
+        await this.cacheManager.clear();
+      }
+      return result;
+    }
+
+    if (!this.cacheManager) {
+      return run();
+    }
+
+    return this.cacheManager.readQuery(this.cacheOptions, {
+      namespace: 'aggregate',
+      descriptor: { pipeline, ...this.aggregateOptions },
+      tags: pipelineTags()
+    }, run);
+  }
+
+  /**
+   * Numbered page of the pipeline output
+   * @param {Object} options - PaginationManager.paginateAggregate options ({ page, limit, facet })
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async paginate(options = {}) {
+    if (this._writeTarget()) {
+      throw new Error('Pipelines ending in $merge or $out cannot be paginated');
+    }
+
+    const pagination = this.context.pagination ||
+      new PaginationManager(this.Model, {}, this.cacheManager);
+    const { allowDiskUse = true, maxTimeMS = 60000 } = this.aggregateOptions;
+
+    return pagination.paginateAggregate(this.getPipeline(), {
+      cache: this.cacheOptions,
+      allowDiskUse,
+      maxTimeMS,
+      ...options
+    });
+  }
+
+  /**
+   * Collection a trailing $merge or $out writes to
+   * @private
+   */
+  _writeTarget() {
+    const last = this.pipeline[this.pipeline.length - 1];
+    if (!last) return null;
+    if (last.$out) return last.$out;
+    if (last.$merge) return last.$merge.into;
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _buildPipeline(stages) {
+    // Sub-pipelines run on already scoped input or on another collection
+    if (typeof stages !== 'function') return stages;
+    const builder = new AggregateBuilder(this.Model, null, { scopes: this.context.scopes });
+    stages(builder);
+    return builder.getPipeline();
+  }
+}
+
+module.exports = {
+  AggregateBuilder,
+  resolveCollection
+};
@@ -0,0 +1,190 @@
+const FACET_PREFIX = 'facet_';
+
+/**
+ * Normalize facet config. An array of field names becomes term facets.
+ * @param {Array<string>|Object} facets - Facet definitions keyed by name
+ * @returns {Object} - { name: { type, field, ... } }
+ */
+const normalizeFacets = (facets = {}) => {
+  if (Array.isArray(facets)) {
+    return facets.reduce((acc, field) => {
+      acc[field] = { type: 'terms', field };
+      return acc;
+    }, {});
+  }
+
+  return Object.entries(facets).reduce((acc, [name, facet]) => {
+    const definition = { type: 'terms', field: name, ...facet };
+    if (!['terms', 'range', 'auto'].includes(definition.type)) {
+      throw new Error(`Unknown facet type "${definition.type}" for facet "${name}"`);
+    }
+    if (definition.type === 'range' && !Array.isArray(definition.boundaries)) {
+      throw new Error(`Range facet "${name}" requires boundaries`);
+    }
+    acc[name] = definition;
+    return acc;
+  }, {});
+};
+
+/**
+ * Filter for the values selected on one facet
+ */
+const buildSelectionFilter = (facet, selection) => {
+  const values = Array.isArray(selection) ? selection : [selection];
+  if (values.length === 0) return null;
+
+  if (facet.type === 'terms') {
+    return { [facet.field]: { $in: values } };
+  }
+
+  // Range selections are { min, max } with an inclusive min and exclusive max
+  return {
+    $or: values.map(({ min, max }) => {
+      const condition = {};
+      if (min !== undefined && min !== null) condition.$gte = min;
+      if (max !== undefined && max !== null) condition.$lt = max;
+      return { [facet.field]: condition };
+    })
+  };
+};
+
+/**
+ * Combine the selections of every facet except `excluded`
+ */
+const buildSelectedFilter = (facets, selected, excluded) => {
+  const conditions = Object.entries(selected)
+    .filter(([name]) => name !== excluded && facets[name])
+    .map(([name, selection]) => buildSelectionFilter(facets[name], selection))
+    .filter(Boolean);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const buildFacetStages = (facet) => {
+  const groupBy = `$${facet.field}`;
+
+  if (facet.type === 'range') {
+    return [{
+      $bucket: {
+        groupBy,
+        boundaries: facet.boundaries,
+        default: facet.default !== undefined ? facet.default : 'other',
+        output: { count: { $sum: 1 } }
+      }
+    }];
+  }
+
+  if (facet.type === 'auto') {
+    return [{
+      $bucketAuto: {
+        groupBy,
+        buckets: facet.buckets || 5,
+        output: { count: { $sum: 1 } },
+        ...(facet.granularity ? { granularity: facet.granularity } : {})
+      }
+    }];
+  }
+
+  return [
+    // Array fields count each element; scalar fields pass through unchanged
+    { $unwind: groupBy },
+    { $group: { _id: groupBy, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: facet.limit || 10 }
+  ];
+};
+
+/**
+ * Build a single aggregation returning a page of results, the total and the
+ * counts for every facet. Each facet's counts apply every selection except its
+ * own, so a multi-select UI can still show the alternatives of a selected facet.
+ * @param {Object} options - Faceted search options
+ * @param {Object} options.textFilter - $text filter (must run as the first stage)
+ * @param {Object} options.filter - Base filter applied to everything
+ * @param {Object} options.facets - Normalized facet definitions
+ * @param {Object} options.selected - Selected values keyed by facet name
+ * @param {Object} options.sort - Result sort
+ * @param {number} options.skip - Results to skip
+ * @param {number} options.limit - Results per page
+ * @returns {Array} - Aggregation pipeline
+ */
+const buildFacetPipeline = ({
+  textFilter,
+  filter = {},
+  facets,
+  selected = {},
+  sort,
+  skip = 0,
+  limit = 10
+}) => {
+  const pipeline = [{ $match: { ...textFilter, ...filter } }];
+
+  if (textFilter) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  const resultSort = sort || (textFilter ? { score: -1, _id: 1 } : { _id: -1 });
+  const selectedFilter = buildSelectedFilter(facets, selected);
+
+  const branches = {
+    results: [
+      { $match: selectedFilter },
+      { $sort: resultSort },
+      { $skip: skip },
+      { $limit: limit }
+    ],
+    total: [
+      { $match: selectedFilter },
+      { $count: 'count' }
+    ]
+  };
+
+  Object.entries(facets).forEach(([name, facet]) => {
+    branches[`${FACET_PREFIX}${name}`] = [
+      { $match: buildSelectedFilter(facets, selected, name) },
+      ...buildFacetStages(facet)
+    ];
+  });
+
+  pipeline.push({ $facet: branches });
+  return pipeline;
+};
+
+const formatBuckets = (facet, buckets) => {
+  if (facet.type === 'terms') {
+    return buckets.map(({ _id, count }) => ({ value: _id, count }));
+  }
+
+  if (facet.type === 'auto') {
+    return buckets.map(({ _id, count }) => ({ min: _id.min, max: _id.max, count }));
+  }
+
+  return buckets.map(({ _id, count }) => {
+    // Date boundaries come back as new Date instances, so compare by value
+    const index = facet.boundaries.findIndex(boundary => (
+      boundary instanceof Date ? _id instanceof Date && +boundary === +_id : boundary === _id
+    ));
+    return index === -1
+      ? { value: _id, count }
+      : { min: _id, max: facet.boundaries[index + 1], count };
+  });
+};
+
+/**
+ * Shape the $facet output as { results, total, facets }
+ */
+const formatFacetResult = (result = {}, facets) => ({
+  results: result.results || [],
+  total: (result.total && result.total[0] && result.total[0].count) || 0,
+  facets: Object.entries(facets).reduce((acc, [name, facet]) => {
+    acc[name] = formatBuckets(facet, result[`${FACET_PREFIX}${name}`] || []);
+    return acc;
+  }, {})
+});
+
+module.exports = {
+  normalizeFacets,
+  buildSelectionFilter,
+  buildFacetPipeline,
+  formatFacetResult
+};
@@ -1,15 +1,235 @@
+const { MongoError } = require('../core/errors');
+const { queryTags } = require('../helpers/cacheTags');
+const PaginationManager = require('../core/PaginationManager');
+const CheckpointManager = require('../operations/checkpoints');
+const {
+  EARTH_RADIUS_METERS,
+  validatePosition,
+  validateCircle,
+  toPolygon,
+  boxToPolygon
+} = require('../helpers/geoJson');
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isPlainObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Deep-merge two filters as an AND. Operator objects on the same field are
+ * combined when their operators don't overlap; anything else that clashes is
+ * moved into $and so neither condition is lost.
+ * @param {Object} target - Existing filter
+ * @param {Object} source - Conditions to add
+ * @returns {Object} - New filter
+ */
+const mergeConditions = (target = {}, source = {}) => {
+  const merged = { ...target };
+  const addToAnd = (condition) => {
+    merged.$and = [...(merged.$and || []), condition];
+  };
+
+  Object.entries(source).forEach(([key, value]) => {
+    if (!(key in merged)) {
+      merged[key] = isOperatorObject(value) ? { ...value } : value;
+    } else if (key === '$and' || key === '$nor') {
+      // NOR of every branch is the same as both NORs holding
+      merged[key] = [...merged[key], ...value];
+    } else if (
+      isOperatorObject(merged[key]) &&
+      isOperatorObject(value) &&
+      !Object.keys(value).some(operator => operator in merged[key])
+    ) {
+      merged[key] = { ...merged[key], ...value };
+    } else {
+      addToAnd({ [key]: value });
+    }
+  });
+
+  return merged;
+};
+
 class QueryBuilder {
-  constructor(model) {
+  /**
+   * @param {Object} model - Mongoose model
+   * @param {Object} cacheManager - Shared cache manager
+   * @param {Object} context - Managers of the owning EasyMongo instance:
+   *   { crud, versioning, pagination }, used by paginate() and the write terminals,
+   *   plus the model's { scopes, defaultScopes }
+   */
+  constructor(model, cacheManager = null, context = {}) {
     this.Model = model;
+    this.cacheManager = cacheManager;
+    this.context = context;
     this.query = {};
     this.options = {};
+    this.cacheOptions = null;
+    this.defaultScopes = [...(context.defaultScopes || [])];
+
+    // Each named scope becomes a chainable method: db.query().active().olderThan(30)
+    Object.keys(context.scopes || {}).forEach(name => {
+      this[name] = (...args) => this.scope(name, ...args);
+    });
+  }
+
+  /**
+   * Apply a named scope
+   * @param {string} name - Scope name
+   * @param {...*} args - Arguments passed to the scope after the builder
+   */
+  scope(name, ...args) {
+    const scopes = this.context.scopes || {};
+    if (typeof scopes[name] !== 'function') {
+      throw new Error(`Unknown scope "${name}"`);
+    }
+    scopes[name](this, ...args);
+    return this;
+  }
+
+  /**
+   * Skip the default scopes: all of them, or only the ones named
+   * @param {...string} names - Default scopes to skip
+   */
+  unscoped(...names) {
+    this.defaultScopes = names.length > 0
+      ? this.defaultScopes.filter(name => !names.includes(name))
+      : [];
+    return this;
   }
 
-  where(conditions) {
-    this.query = { ...this.query, ...conditions };
+  /**
+   * AND conditions into the filter. Conditions on a field that already has
+   * some are merged ({ $gt: 18 } + { $lt: 65 }) or, when they clash, kept side by side in $and.
+   * @param {Object} conditions - MongoDB filter
+   */
+  where(conditions = {}) {
+    this.query = mergeConditions(this.query, conditions);
     return this;
   }
 
+  whereGt(field, value) {
+    return this.where({ [field]: { $gt: value } });
+  }
+
+  whereGte(field, value) {
+    return this.where({ [field]: { $gte: value } });
+  }
+
+  whereLt(field, value) {
+    return this.where({ [field]: { $lt: value } });
+  }
+
+  whereLte(field, value) {
+    return this.where({ [field]: { $lte: value } });
+  }
+
+  whereNe(field, value) {
+    return this.where({ [field]: { $ne: value } });
+  }
+
+  whereIn(field, values) {
+    return this.where({ [field]: { $in: values } });
+  }
+
+  whereNotIn(field, values) {
+    return this.where({ [field]: { $nin: values } });
+  }
+
+  /**
+   * Inclusive range
+   */
+  whereBetween(field, min, max) {
+    return this.where({ [field]: { $gte: min, $lte: max } });
+  }
+
+  whereExists(field, exists = true) {
+    return this.where({ [field]: { $exists: exists } });
+  }
+
+  /**
+   * Match a pattern. Strings are escaped (matched literally) unless `escape: false`.
+   * @param {string} field - Field
+   * @param {string|RegExp} pattern - Text or regular expression
+   * @param {Object} options - { escape = true, caseInsensitive = true }
+   */
+  whereRegex(field, pattern, { escape = true, caseInsensitive = true } = {}) {
+    if (pattern instanceof RegExp) {
+      return this.where({ [field]: pattern });
+    }
+    return this.where({
+      [field]: {
+        $regex: escape ? escapeRegex(pattern) : pattern,
+        $options: caseInsensitive ? 'i' : ''
+      }
+    });
+  }
+
+  /**
+   * Negate a condition on a field (`not('age', { $gt: 65 })`, `not('status', 'banned')`)
+   * or a whole group (`not(qb => qb.where({ role: 'admin' }).whereExists('deletedAt'))`)
+   */
+  not(fieldOrGroup, condition) {
+    if (typeof fieldOrGroup === 'function') {
+      return this.where({ $nor: [this._buildGroup(fieldOrGroup)] });
+    }
+    if (isOperatorObject(condition) || condition instanceof RegExp) {
+      return this.where({ [fieldOrGroup]: { $not: condition } });
+    }
+    return this.where({ [fieldOrGroup]: { $ne: condition } });
+  }
+
+  /**
+   * Add a branch to this builder's $or group; every orWhere call is one alternative
+   * @param {Function} build - Receives a fresh builder to describe the branch
+   */
+  orWhere(build) {
+    const branch = this._buildGroup(build);
+    if (this.query.$or) {
+      this.query = { ...this.query, $or: [...this.query.$or, branch] };
+    } else {
+      this.query = { ...this.query, $or: [branch] };
+    }
+    return this;
+  }
+
+  /**
+   * AND a group built separately, e.g. a second $or group
+   * @param {Function} build - Receives a fresh builder to describe the group
+   */
+  andWhere(build) {
+    const group = this._buildGroup(build);
+    return Object.keys(group).length > 0 ? this.where({ $and: [group] }) : this;
+  }
+
+  /**
+   * @returns {Object} - The MongoDB filter built so far, including default scopes
+   */
+  getFilter() {
+    if (this.defaultScopes.length === 0) {
+      return this.query;
+    }
+
+    // Default scopes contribute their conditions only, never sort or limit
+    const defaults = new QueryBuilder(this.Model, null, { scopes: this.context.scopes });
+    this.defaultScopes.forEach(name => defaults.scope(name));
+    return mergeConditions(defaults.getFilter(), this.query);
+  }
+
+  /**
+   * @private
+   */
+  _buildGroup(build) {
+    // Groups can use named scopes; default scopes only apply to the outer filter
+    const group = new QueryBuilder(this.Model, null, { scopes: this.context.scopes });
+    build(group);
+    return group.getFilter();
+  }
+
   select(fields) {
     this.options.select = fields;
     return this;
@@ -30,21 +250,293 @@ class QueryBuilder {
     return this;
   }
 
+  /**
+   * Cache the result of execute()
+   * @param {Object} options - { ttl, key, tags, staleWhileRevalidate }
+   */
+  cache(options = {}) {
+    this.cacheOptions = options;
+    return this;
+  }
+
+  /**
+   * Populate references; repeated calls add more paths
+   * @param {string|Object|Array} paths - Anything Mongoose populate() accepts
+   */
+  populate(paths) {
+    this.options.populate = [...(this.options.populate || []), paths];
+    return this;
+  }
+
+  lean(enabled = true) {
+    this.options.lean = enabled;
+    return this;
+  }
+
+  collation(collation) {
+    this.options.collation = collation;
+    return this;
+  }
+
+  hint(hint) {
+    this.options.hint = hint;
+    return this;
+  }
+
+  maxTimeMS(ms) {
+    this.options.maxTimeMS = ms;
+    return this;
+  }
+
+  /**
+   * Apply select, populate, collation, hint, maxTimeMS and lean to a query
+   * @private
+   */
+  _applyModifiers(query) {
+    let result = query;
+
+    if (this.options.select) result = result.select(this.options.select);
+    if (this.options.populate) {
+      this.options.populate.forEach(paths => {
+        result = result.populate(paths);
+      });
+    }
+    if (this.options.collation) result = result.collation(this.options.collation);
+    if (this.options.hint) result = result.hint(this.options.hint);
+    if (this.options.maxTimeMS) result = result.maxTimeMS(this.options.maxTimeMS);
+    if (this.options.lean) result = result.lean();
+
+    return result;
+  }
+
+  /**
+   * Options shared by countDocuments and distinct
+   * @private
+   */
+  _countOptions() {
+    const options = {};
+    if (this.options.collation) options.collation = this.options.collation;
+    if (this.options.hint) options.hint = this.options.hint;
+    if (this.options.maxTimeMS) options.maxTimeMS = this.options.maxTimeMS;
+    return options;
+  }
+
+  /**
+   * Run a read through the cache when cache() was called
+   * @private
+   */
+  _read(namespace, descriptor, tags, run) {
+    if (!this.cacheManager) {
+      return run();
+    }
+
+    return this.cacheManager.readQuery(this.cacheOptions, {
+      namespace,
+      descriptor: { ...descriptor, ...this.options },
+      tags
+    }, run);
+  }
+
   async execute() {
-    let query = this.Model.find(this.query);
+    const filter = this.getFilter();
+    return this._read('query', { filter }, queryTags(filter, this.options.sort, { windowed: Boolean(this.options.skip) }), () => {
+      let query = this.Model.find(filter);
+
+      if (this.options.sort) query = query.sort(this.options.sort);
+      if (this.options.skip) query = query.skip(this.options.skip);
+      if (this.options.limit) query = query.limit(this.options.limit);
+
+      return this._applyModifiers(query).exec();
+    });
+  }
+
+  /**
+   * First matching document in the current sort order, or null
+   */
+  async first() {
+    const filter = this.getFilter();
+    return this._read('first', { filter }, queryTags(filter, this.options.sort, { windowed: Boolean(this.options.skip) }), () => {
+      let query = this.Model.findOne(filter);
+
+      if (this.options.sort) query = query.sort(this.options.sort);
+      if (this.options.skip) query = query.skip(this.options.skip);
+
+      return this._applyModifiers(query).exec();
+    });
+  }
+
+  /**
+   * Number of matching documents (ignores skip and limit)
+   */
+  async count() {
+    const filter = this.getFilter();
+    return this._read('count', { filter }, queryTags(filter, null, { windowed: true }), () => (
+      this.Model.countDocuments(filter, this._countOptions())
+    ));
+  }
+
+  /**
+   * Whether any document matches
+   */
+  async exists() {
+    const filter = this.getFilter();
+    return this._read('exists', { filter }, queryTags(filter, null, { windowed: true }), async () => {
+      let query = this.Model.findOne(filter).select('_id').lean();
+
+      if (this.options.collation) query = query.collation(this.options.collation);
+      if (this.options.hint) query = query.hint(this.options.hint);
+      if (this.options.maxTimeMS) query = query.maxTimeMS(this.options.maxTimeMS);
+
+      return Boolean(await query.exec());
+    });
+  }
+
+  /**
+   * Distinct values of a field among matching documents
+   * @param {string} field - Field path
+   */
+  async distinct(field) {
+    const filter = this.getFilter();
+    // Tagging the field as a sort key evicts the entry when any document's value changes
+    return this._read('distinct', { filter, field }, queryTags(filter, { [field]: 1 }, { windowed: true }), () => {
+      let query = this.Model.distinct(field, filter);
+
+      if (this.options.collation) query = query.collation(this.options.collation);
+      if (this.options.maxTimeMS) query = query.maxTimeMS(this.options.maxTimeMS);
+
+      return query.exec();
+    });
+  }
+
+  /**
+   * Numbered page of the matching documents, using the builder's sort, select,
+   * populate, lean, collation, hint and cache settings
+   * @param {Object} options - PaginationManager.paginate options ({ page, limit, count, ... })
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async paginate(options = {}) {
+    const pagination = this.context.pagination ||
+      new PaginationManager(this.Model, {}, this.cacheManager);
+    const { select, sort, populate, lean, collation, hint } = this.options;
+    const builderOptions = { select, sort, populate, lean, collation, hint, cache: this.cacheOptions };
+
+    Object.keys(builderOptions).forEach(key => {
+      if (builderOptions[key] === undefined || builderOptions[key] === null) delete builderOptions[key];
+    });
+
+    return pagination.paginate(this.getFilter(), { ...builderOptions, ...options });
+  }
+
+  /**
+   * Query plan for the find this builder would run
+   * @param {string} verbosity - 'queryPlanner', 'executionStats' or 'allPlansExecution'
+   */
+  async explain(verbosity = 'queryPlanner') {
+    let query = this.Model.find(this.getFilter());
 
-    if (this.options.select) query = query.select(this.options.select);
     if (this.options.sort) query = query.sort(this.options.sort);
     if (this.options.skip) query = query.skip(this.options.skip);
     if (this.options.limit) query = query.limit(this.options.limit);
 
-    return query.exec();
+    return this._applyModifiers(query).explain(verbosity);
+  }
+
+  /**
+   * Update every matching document. Versioning and cache invalidation work
+   * as they do for EasyMongo.update.
+   * @param {Object|Array} update - Update document or pipeline
+   * @param {Object} options - Mongoose updateMany options
+   * @returns {Promise<Object>} - { acknowledged, matchedCount, modifiedCount, ... }
+   */
+  async updateMany(update, options = {}) {
+    if (!update) {
+      throw new Error('Update is required');
+    }
+
+    const { crud, versioning } = this.context;
+    const filter = this.getFilter();
+    const oldDocs = await this._findAffected(filter);
+
+    const result = await this._write('updateMany', () => (
+      this.Model.updateMany(filter, update, { ...this._countOptions(), ...options })
+    ));
+
+    if (crud) {
+      await crud.invalidateChanged(oldDocs.map(doc => String(doc._id)), update);
+    }
+
+    // Updated documents may no longer match the filter, so reload them by id
+    if (versioning && oldDocs.length > 0) {
+      const updatedDocs = await this.Model.find({ _id: { $in: oldDocs.map(doc => doc._id) } });
+
+      for (const oldDoc of oldDocs) {
+        const updatedDoc = updatedDocs.find(doc => doc._id.toString() === oldDoc._id.toString());
+
+        if (updatedDoc) {
+          await versioning.trackUpdate(oldDoc, updatedDoc);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete every matching document. Versioning and cache invalidation work
+   * as they do for EasyMongo.delete.
+   * @returns {Promise<Object>} - { acknowledged, deletedCount }
+   */
+  async deleteMany() {
+    const { crud, versioning } = this.context;
+    const filter = this.getFilter();
+    const docsToDelete = await this._findAffected(filter);
+
+    const result = await this._write('deleteMany', () => (
+      this.Model.deleteMany(filter, this._countOptions())
+    ));
+
+    if (crud) {
+      await crud.invalidateChanged(docsToDelete.map(doc => String(doc._id)));
+    }
+
+    if (versioning) {
+      for (const doc of docsToDelete) {
+        await versioning.trackDeletion(doc);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Documents a write is about to change: full documents for versioning,
+   * ids for cache invalidation, nothing when neither is enabled
+   * @private
+   */
+  async _findAffected(filter) {
+    const { crud, versioning } = this.context;
+
+    if (versioning) {
+      return this.Model.find(filter);
+    }
+    if (crud && crud.cacheManager.isEnabled()) {
+      return this.Model.find(filter).select('_id').lean();
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  _write(operation, run) {
+    const { crud } = this.context;
+    return crud ? crud._executeWithMonitoring(operation, run) : run();
   }
 }
 
 class LargeDatasetQueryBuilder extends QueryBuilder {
-  constructor(model) {
-    super(model);
+  constructor(model, context = {}) {
+    super(model, null, context);
     this.batchSize = 1000;
   }
 
@@ -54,12 +546,7 @@ class LargeDatasetQueryBuilder extends QueryBuilder {
   }
 
   stream() {
-    let query = this.Model.find(this.query);
-
-    if (this.options.select) query = query.select(this.options.select);
-    if (this.options.sort) query = query.sort(this.options.sort);
-
-    return query.cursor({ batchSize: this.batchSize });
+    return this._cursor(this.getFilter(), this.options.sort, this.batchSize);
   }
 
   async *[Symbol.asyncIterator]() {
@@ -68,8 +555,195 @@ class LargeDatasetQueryBuilder extends QueryBuilder {
       yield doc;
     }
   }
+
+  /**
+   * Call `fn` with batches of matching documents
+   * @param {Function} fn - async (docs, batchIndex) => void
+   * @param {Object} options - { batchSize, concurrency, onProgress, checkpoint }
+   * @param {number} options.concurrency - Batches processed at once; reading pauses while all are busy
+   * @param {Function} options.onProgress - Called with { processed, total } after each batch
+   * @param {string} options.checkpoint - Run name; the last finished _id is stored under it
+   *   so a failed run continues where it stopped. Runs with a checkpoint are ordered by _id.
+   * @returns {Promise<Object>} - { processed, batches }
+   */
+  async eachBatch(fn, { batchSize = this.batchSize, concurrency = 1, ...options } = {}) {
+    let batches = 0;
+    const { processed } = await this._process(batchSize, batchSize, async (docs) => {
+      const index = batches++;
+      await fn(docs, index);
+    }, { concurrency, ...options });
+
+    return { processed, batches };
+  }
+
+  /**
+   * Call `fn` for every matching document, several at a time
+   * @param {Function} fn - async (doc, index) => result
+   * @param {Object} options - { concurrency = 10, onProgress, checkpoint } (see eachBatch)
+   * @returns {Promise<Array>} - Results in cursor order; use eachBatch when they aren't needed
+   */
+  async mapConcurrent(fn, { concurrency = 10, ...options } = {}) {
+    const results = [];
+    let count = 0;
+    await this._process(1, this.batchSize, async ([doc]) => {
+      const index = count++;
+      results[index] = await fn(doc, index);
+    }, { concurrency, ...options });
+
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _cursor(filter, sort, batchSize) {
+    let query = this.Model.find(filter);
+
+    if (sort) query = query.sort(sort);
+
+    return this._applyModifiers(query).cursor({ batchSize });
+  }
+
+  /**
+   * Read the cursor in units of `unitSize` documents and run `worker` on up to
+   * `concurrency` units at once. The checkpoint is saved every `fetchSize` documents
+   * and only moves past a unit once every unit before it has finished, so a
+   * resumed run never skips documents.
+   * @private
+   */
+  async _process(unitSize, fetchSize, worker, { concurrency = 1, onProgress, checkpoint } = {}) {
+    if (checkpoint && this.options.sort) {
+      throw new Error('Resumable runs are ordered by _id and cannot use sort()');
+    }
+
+    const checkpoints = checkpoint
+      ? this.context.checkpoints || new CheckpointManager(this.Model)
+      : null;
+    const saved = checkpoint ? await checkpoints.load(checkpoint) : null;
+
+    let filter = this.getFilter();
+    if (saved) {
+      filter = mergeConditions(filter, { _id: { $gt: saved.lastId } });
+    }
+
+    // `finished` counts every completed document; `settled` only those with no unfinished unit before them
+    let settled = saved ? saved.processed : 0;
+    let finished = settled;
+    let savedAt = settled;
+    let lastId = saved ? saved.lastId : null;
+    const total = onProgress ? settled + await this.Model.countDocuments(filter) : null;
+
+    const pending = [];
+    const inFlight = new Set();
+    let failure = null;
+    let saving = Promise.resolve();
+
+    const saveCheckpoint = () => {
+      const progress = { lastId, processed: settled };
+      savedAt = settled;
+      saving = saving.then(() => checkpoints.save(checkpoint, progress));
+      return saving;
+    };
+
+    const complete = async (unit) => {
+      unit.done = true;
+      finished += unit.size;
+      while (pending.length > 0 && pending[0].done) {
+        const next = pending.shift();
+        settled += next.size;
+        lastId = next.lastId;
+      }
+      if (checkpoints && settled - savedAt >= fetchSize) {
+        await saveCheckpoint();
+      }
+      if (onProgress) {
+        await onProgress({ processed: finished, total });
+      }
+    };
+
+    const cursor = this._cursor(filter, checkpoint ? { _id: 1 } : this.options.sort, fetchSize);
+
+    try {
+      let units = [];
+      const start = (docs) => {
+        const unit = { lastId: docs[docs.length - 1]._id, size: docs.length, done: false };
+        pending.push(unit);
+        const task = Promise.resolve()
+          .then(() => worker(docs))
+          .then(() => complete(unit))
+          .catch(error => {
+            failure = failure || error;
+          })
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+      };
+
+      for await (const doc of cursor) {
+        units.push(doc);
+        if (units.length < unitSize) continue;
+
+        start(units);
+        units = [];
+
+        // Backpressure: stop reading until a unit finishes
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
+        if (failure) break;
+      }
+
+      if (!failure && units.length > 0) {
+        start(units);
+      }
+      await Promise.all(inFlight);
+    } finally {
+      await cursor.close();
+    }
+
+    if (failure) {
+      if (checkpoints && settled > savedAt) {
+        await saveCheckpoint();
+      }
+      await saving;
+      throw failure;
+    }
+
+    await saving;
+    if (checkpoints) {
+      // A finished run starts over next time
+      await checkpoints.clear(checkpoint);
+    }
+    return { processed: finished };
+  }
 }
 
+// Builder state that a scope method would shadow
+const RESERVED_SCOPE_NAMES = ['Model', 'cacheManager', 'context', 'query', 'options', 'cacheOptions', 'defaultScopes', 'batchSize'];
+
+/**
+ * Check scope definitions from the model config
+ * @param {Object} scopes - { name: (qb, ...args) => void }
+ * @param {Array<string>} defaultScopes - Scopes applied to every builder
+ */
+const validateScopes = (scopes = {}, defaultScopes = []) => {
+  Object.entries(scopes).forEach(([name, scope]) => {
+    if (typeof scope !== 'function') {
+      throw new Error(`Scope "${name}" must be a function`);
+    }
+    if (RESERVED_SCOPE_NAMES.includes(name) ||
+        name in QueryBuilder.prototype ||
+        name in LargeDatasetQueryBuilder.prototype) {
+      throw new Error(`Scope "${name}" conflicts with a QueryBuilder method`);
+    }
+  });
+
+  defaultScopes.forEach(name => {
+    if (!scopes[name]) {
+      throw new Error(`Unknown default scope "${name}"`);
+    }
+  });
+};
+
 const buildQuery = ({
   search = {},
   filters = {},
@@ -102,6 +776,302 @@ const buildQuery = ({
   return query;
 };
 
+/**
+ * Query string DSL, e.g. `status:active age:>18 (tags:vip OR tags:gold) name~"jo" -city:Paris`
+ *
+ *   field:value        equality (comma-separated values match any: status:active,pending)
+ *   field:>n, >=, <, <= comparisons
+ *   field:a..b         inclusive range (either side may be empty)
+ *   field:*            field exists
+ *   field~text         case-insensitive "contains"
+ *   -term, NOT term    negation
+ *   AND, OR, ( )       boolean logic; terms next to each other are ANDed
+ */
+const QUERY_KEYWORDS = ['AND', 'OR', 'NOT'];
+const FIELD_NAME = /^[A-Za-z_][\w.]*$/;
+const WORD_BREAK = /[\s()":~<>]/;
+
+const querySyntaxError = (message, position) => new MongoError(
+  `${message} at position ${position}`,
+  'QUERY_SYNTAX_ERROR',
+  { position }
+);
+
+const tokenizeQueryString = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const previousType = () => (tokens.length > 0 ? tokens[tokens.length - 1].type : null);
+
+  while (i < input.length) {
+    const char = input[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: start });
+      i++;
+    } else if (char === ':' || char === '~') {
+      tokens.push({ type: char, position: start });
+      i++;
+    } else if (char === '<' || char === '>') {
+      const operator = input[i + 1] === '=' ? `${char}=` : char;
+      tokens.push({ type: 'COMPARE', value: operator, position: start });
+      i += operator.length;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) i++;
+        value += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw querySyntaxError('Unterminated quoted string', start);
+      }
+      tokens.push({ type: 'STRING', value, position: start });
+      i++;
+    } else if ((char === '-' || char === '!') && ![':', '~', 'COMPARE'].includes(previousType())) {
+      // A leading "-" negates the next term; after ":" it belongs to the value
+      tokens.push({ type: 'NOT', position: start });
+      i++;
+    } else {
+      while (i < input.length && !WORD_BREAK.test(input[i])) i++;
+      const value = input.slice(start, i);
+      tokens.push(QUERY_KEYWORDS.includes(value)
+        ? { type: value, position: start }
+        : { type: 'WORD', value, position: start });
+    }
+  }
+
+  tokens.push({ type: 'EOF', position: input.length });
+  return tokens;
+};
+
+const schemaTypeOf = (schema, field) => {
+  if (!schema) return null;
+  const path = schema.path(field);
+  if (!path) return schema.pathType(field) === 'nested' ? 'Nested' : undefined;
+  // Arrays are matched element-wise, so coerce to the element type
+  if (path.instance === 'Array' && path.caster) return path.caster.instance;
+  return path.instance;
+};
+
+const coerceQueryValue = (raw, type, { field, position, quoted }) => {
+  const invalid = (expected) => querySyntaxError(`Expected ${expected} for "${field}" but got "${raw}"`, position);
+
+  switch (type) {
+    case 'Number': {
+      const value = Number(raw);
+      if (raw === '' || Number.isNaN(value)) throw invalid('a number');
+      return value;
+    }
+    case 'Date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) throw invalid('a date');
+      return value;
+    }
+    case 'Boolean': {
+      const value = String(raw).toLowerCase();
+      if (['true', 'yes', '1'].includes(value)) return true;
+      if (['false', 'no', '0'].includes(value)) return false;
+      throw invalid('a boolean');
+    }
+    case 'ObjectId':
+    case 'ObjectID':
+      if (!/^[0-9a-fA-F]{24}$/.test(raw)) throw invalid('an ObjectId');
+      return raw;
+    case 'String':
+      return raw;
+    default:
+      // Untyped paths: unquoted numbers and booleans are taken literally
+      if (!quoted && raw !== '' && !Number.isNaN(Number(raw))) return Number(raw);
+      if (!quoted && (raw === 'true' || raw === 'false')) return raw === 'true';
+      return raw;
+  }
+};
+
+const COMPARE_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+/**
+ * AND the conditions together, as one object when their fields don't clash
+ */
+const combineAnd = (conditions) => {
+  if (conditions.length === 1) return conditions[0];
+
+  const keys = conditions.flatMap(condition => Object.keys(condition));
+  if (new Set(keys).size === keys.length) {
+    return Object.assign({}, ...conditions);
+  }
+  return { $and: conditions };
+};
+
+/**
+ * Paths in the schema's text indexes
+ * @param {Object} schema - Mongoose schema
+ * @returns {Array<string>|null} - Paths, or null for a wildcard ($**) text index
+ */
+const textIndexedPaths = (schema) => {
+  const paths = schema.indexes()
+    .flatMap(([fields]) => Object.keys(fields).filter(path => fields[path] === 'text'));
+  return paths.includes('$**') ? null : paths;
+};
+
+/**
+ * Parse the query string DSL into a MongoDB filter
+ * @param {string} input - Query string
+ * @param {Object} options - Parser options
+ * @param {Object} options.schema - Mongoose schema used to validate fields and coerce values
+ * @param {Array<string>|string} options.allowedFields - Fields that may be queried. Defaults to the
+ *   schema's text-indexed paths; '*' allows every schema path
+ * @param {string|Array<string>} options.defaultField - Field(s) matched by terms without a field;
+ *   without one they are rejected
+ * @returns {Object} - MongoDB filter
+ * @throws {MongoError} - QUERY_SYNTAX_ERROR with the offending position in details.position
+ */
+const parseQueryString = (input, { schema, allowedFields, defaultField } = {}) => {
+  const tokens = tokenizeQueryString(String(input || ''));
+  let index = 0;
+
+  // Querying other schema paths is opt-in, so sensitive fields aren't exposed by default
+  const allowed = allowedFields === '*' || (!allowedFields && !schema)
+    ? null
+    : allowedFields || textIndexedPaths(schema);
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = token => (token.type === 'EOF' ? 'end of query' : `"${token.value || token.type}"`);
+  const expect = (type, message) => {
+    const token = next();
+    if (token.type !== type) throw querySyntaxError(message || `Unexpected ${describe(token)}`, token.position);
+    return token;
+  };
+
+  const checkField = (field, position) => {
+    if (!FIELD_NAME.test(field)) {
+      throw querySyntaxError(`Invalid field name "${field}"`, position);
+    }
+    const known = allowed
+      ? allowed.includes(field)
+      : !schema || schemaTypeOf(schema, field) !== undefined;
+    if (!known) {
+      throw querySyntaxError(`Field "${field}" is not searchable`, position);
+    }
+  };
+
+  const parseValue = (field) => {
+    let token = next();
+    let operator;
+    if (token.type === 'COMPARE') {
+      operator = COMPARE_OPERATORS[token.value];
+      token = next();
+    }
+    if (token.type !== 'WORD' && token.type !== 'STRING') {
+      throw querySyntaxError(`Expected a value for "${field}"`, token.position);
+    }
+
+    const type = schemaTypeOf(schema, field);
+    const quoted = token.type === 'STRING';
+    const coerce = raw => coerceQueryValue(raw, type, { field, position: token.position, quoted });
+
+    if (operator) {
+      return { [field]: { [operator]: coerce(token.value) } };
+    }
+    if (quoted) {
+      return { [field]: coerce(token.value) };
+    }
+    if (token.value === '*') {
+      return { [field]: { $exists: true } };
+    }
+    if (token.value.includes('..')) {
+      const [min, max] = token.value.split('..');
+      const range = {};
+      if (min && min !== '*') range.$gte = coerce(min);
+      if (max && max !== '*') range.$lte = coerce(max);
+      if (Object.keys(range).length === 0) {
+        throw querySyntaxError(`Empty range for "${field}"`, token.position);
+      }
+      return { [field]: range };
+    }
+    if (token.value.includes(',')) {
+      return { [field]: { $in: token.value.split(',').filter(Boolean).map(coerce) } };
+    }
+    return { [field]: coerce(token.value) };
+  };
+
+  const parseTerm = () => {
+    const token = next();
+
+    if (token.type === '(') {
+      const expression = parseOr();
+      expect(')', 'Expected ")" to close the group');
+      return expression;
+    }
+
+    if (token.type !== 'WORD' && token.type !== 'STRING') {
+      throw querySyntaxError(`Unexpected ${describe(token)}`, token.position);
+    }
+
+    const separator = peek();
+    if (token.type === 'WORD' && (separator.type === ':' || separator.type === '~')) {
+      checkField(token.value, token.position);
+      next();
+
+      if (separator.type === ':') {
+        return parseValue(token.value);
+      }
+      const value = next();
+      if (value.type !== 'WORD' && value.type !== 'STRING') {
+        throw querySyntaxError(`Expected text to match for "${token.value}"`, value.position);
+      }
+      return { [token.value]: { $regex: escapeRegex(value.value), $options: 'i' } };
+    }
+
+    const defaultFields = [].concat(defaultField || []);
+    if (defaultFields.length === 0) {
+      throw querySyntaxError(`Expected field:value but got ${describe(token)}`, token.position);
+    }
+    const matches = defaultFields.map(field => ({ [field]: { $regex: escapeRegex(token.value), $options: 'i' } }));
+    return matches.length === 1 ? matches[0] : { $or: matches };
+  };
+
+  const parseNot = () => {
+    if (peek().type === 'NOT') {
+      next();
+      return { $nor: [parseNot()] };
+    }
+    return parseTerm();
+  };
+
+  const parseAnd = () => {
+    const conditions = [parseNot()];
+    while (!['OR', ')', 'EOF'].includes(peek().type)) {
+      if (peek().type === 'AND') next();
+      conditions.push(parseNot());
+    }
+    return combineAnd(conditions);
+  };
+
+  const parseOr = () => {
+    const conditions = [parseAnd()];
+    while (peek().type === 'OR') {
+      next();
+      conditions.push(parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  };
+
+  if (peek().type === 'EOF') return {};
+
+  const filter = parseOr();
+  const trailing = peek();
+  if (trailing.type !== 'EOF') {
+    throw querySyntaxError(`Unexpected ${describe(trailing)}`, trailing.position);
+  }
+  return filter;
+};
+
 const buildGeoQuery = ({
   field,
   coordinates,
@@ -109,17 +1079,78 @@ const buildGeoQuery = ({
   minDistance = 0,
   spherical = true
 }) => {
+  const near = {
+    $geometry: {
+      type: 'Point',
+      coordinates: validatePosition(coordinates)
+    },
+    $minDistance: minDistance
+  };
+  if (maxDistance !== undefined) near.$maxDistance = maxDistance;
+
   return {
-    [field]: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: coordinates
-        },
-        $maxDistance: maxDistance,
-        $minDistance: minDistance
-      }
-    }
+    [field]: { $near: near }
+  };
+};
+
+/**
+ * Build a $geoNear stage that adds each document's distance (in meters)
+ * @param {Object} options - Geo options
+ * @param {string} options.field - Indexed geo field
+ * @param {Array<number>} options.coordinates - [longitude, latitude]
+ * @param {number} options.maxDistance - Maximum distance in meters
+ * @param {number} options.minDistance - Minimum distance in meters
+ * @param {Object} options.filter - Extra MongoDB filter
+ * @param {string} options.distanceField - Output field for the distance
+ * @returns {Object} - $geoNear stage (must be the first stage of a pipeline)
+ */
+const buildGeoNearStage = ({
+  field,
+  coordinates,
+  maxDistance,
+  minDistance,
+  filter = {},
+  distanceField = 'distance'
+}) => {
+  const geoNear = {
+    near: { type: 'Point', coordinates: validatePosition(coordinates) },
+    key: field,
+    distanceField,
+    spherical: true,
+    query: filter
+  };
+  if (maxDistance !== undefined) geoNear.maxDistance = maxDistance;
+  if (minDistance !== undefined) geoNear.minDistance = minDistance;
+
+  return { $geoNear: geoNear };
+};
+
+/**
+ * Build a $geoWithin filter from a polygon, circle, bounding box or GeoJSON geometry
+ * @param {Object} options - Geo options
+ * @param {string} options.field - Geo field
+ * @param {Object|Array} options.polygon - GeoJSON Polygon/MultiPolygon, rings or a single ring
+ * @param {Object} options.circle - { center: [longitude, latitude], radius } with radius in meters
+ * @param {Array<number>} options.box - [minLongitude, minLatitude, maxLongitude, maxLatitude]
+ * @param {Object} options.geometry - Any GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - MongoDB filter
+ */
+const buildGeoWithinQuery = ({ field, polygon, circle, box, geometry }) => {
+  const shapes = [polygon, circle, box, geometry].filter(shape => shape !== undefined);
+  if (shapes.length !== 1) {
+    throw new Error('Provide exactly one of polygon, circle, box or geometry');
+  }
+
+  if (circle) {
+    const { center, radius } = validateCircle(circle);
+    return {
+      [field]: { $geoWithin: { $centerSphere: [center, radius / EARTH_RADIUS_METERS] } }
+    };
+  }
+
+  const shape = box ? boxToPolygon(box) : toPolygon(polygon || geometry);
+  return {
+    [field]: { $geoWithin: { $geometry: shape } }
   };
 };
 
@@ -182,8 +1213,15 @@ const buildArrayQuery = (field, values, operator = '$in') => {
 module.exports = {
   QueryBuilder,
   LargeDatasetQueryBuilder,
+  validateScopes,
   buildQuery,
+  parseQueryString,
+  textIndexedPaths,
+  escapeRegex,
+  mergeConditions,
   buildGeoQuery,
+  buildGeoNearStage,
+  buildGeoWithinQuery,
   buildTextSearch,
   buildDateRangeQuery,
   buildArrayQuery
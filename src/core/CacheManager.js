@@ -1,48 +1,260 @@
-const { cacheRead, clearCache } = require('../utils/cache');
+const { createCacheStore } = require('../utils/cacheStore');
+const { serializeKey } = require('../helpers/cacheTags');
 
 class CacheManager {
   constructor(modelName, options = {}) {
     this.modelName = modelName;
-    this.cache = new Map();
     this.enabled = options.enableCache || false;
     this.ttl = options.cacheTTL || 3600; // Default 1 hour
+    this.store = this.enabled ? createCacheStore(options.cache || {}) : null;
+    this.staleWhileRevalidate = (options.cache && options.cache.staleWhileRevalidate) || 0;
+    this.inFlight = new Map();
+    // Write counter, and the last write that touched each key or tag, so loads
+    // started before a write can tell whether it concerns them
+    this.version = 0;
+    this.invalidatedAt = new Map();
+    this.clearedAt = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.staleHits = 0;
+    this.coalesced = 0;
   }
 
   isEnabled() {
     return this.enabled;
   }
 
-  async read(key, fetchFunction) {
+  /**
+   * Read through the cache. Concurrent misses on the same key share one fetch,
+   * and entries inside their stale-while-revalidate window are served while a
+   * single background refresh repopulates them.
+   * @param {string} key - Cache key (namespaced by model name)
+   * @param {Function} fetchFunction - Loads the value on a miss
+   * @param {Object} options - Read options
+   * @param {number} options.ttl - TTL in seconds, defaults to cacheTTL
+   * @param {number} options.staleWhileRevalidate - Seconds an expired value may still be served
+   * @param {Array<string>|Function} options.tags - Tags for the entry, or a function
+   *   that derives them from the fetched value
+   * @returns {Promise<*>} - Cached or freshly fetched value
+   */
+  async read(key, fetchFunction, options = {}) {
     if (!this.enabled) {
       return fetchFunction();
     }
 
-    const cacheKey = `${this.modelName}:${key}`;
-    const cached = this.cache.get(cacheKey);
+    const cacheKey = this._key(key);
+    const entry = await this.store.get(cacheKey);
 
-    if (cached && cached.expiry > Date.now()) {
-      return cached.data;
+    if (entry !== undefined) {
+      this.hits++;
+      if (entry.expiresAt === null || entry.expiresAt > Date.now()) {
+        return entry.data;
+      }
+
+      this.staleHits++;
+      if (!this.inFlight.has(cacheKey)) {
+        this._load(cacheKey, fetchFunction, options).catch(error => {
+          console.error('Background cache refresh failed:', error);
+        });
+      }
+      return entry.data;
     }
 
-    const data = await fetchFunction();
-    this.cache.set(cacheKey, {
-      data,
-      expiry: Date.now() + (this.ttl * 1000)
-    });
+    this.misses++;
+    const pending = this.inFlight.get(cacheKey);
+    if (pending) {
+      this.coalesced++;
+      const joinedAt = this.version;
+      const { data, staleSince } = await pending.promise;
+
+      // A write to this entry came before this read did, so its result is not good enough
+      if (staleSince && staleSince <= joinedAt) {
+        return this.read(key, fetchFunction, options);
+      }
+      return data;
+    }
 
+    const { data } = await this._load(cacheKey, fetchFunction, options);
     return data;
   }
 
+  /**
+   * Read a query result through the cache according to per-query options
+   * @param {boolean|Object} cacheOptions - Falsy to bypass, true for defaults, or { ttl, key, tags, staleWhileRevalidate }
+   * @param {Object} query - How to identify the result
+   * @param {string} query.namespace - Key namespace ('query', 'page', ...)
+   * @param {Object} query.descriptor - Everything that shapes the result (filter, projection, populate, sort, ...)
+   * @param {Function} query.tags - Derives the automatic tags from the result
+   * @param {Function} fetchFunction - Runs the query
+   * @returns {Promise<*>} - Query result
+   */
+  async readQuery(cacheOptions, { namespace, descriptor, tags }, fetchFunction) {
+    if (!cacheOptions) {
+      return fetchFunction();
+    }
+
+    const { ttl, key, staleWhileRevalidate, tags: extraTags = [] } = cacheOptions === true ? {} : cacheOptions;
+    const cacheKey = key || `${namespace}:${serializeKey(descriptor)}`;
+
+    return this.read(cacheKey, fetchFunction, {
+      ttl,
+      staleWhileRevalidate,
+      tags: data => [...tags(data), ...extraTags]
+    });
+  }
+
+  /**
+   * Fetch a value and store it, registering the pending promise so other
+   * callers can join it
+   * @private
+   * @returns {Promise<Object>} - { data, staleSince }, where staleSince is the first
+   *   write to the entry's key or tags made during the fetch (0 if none)
+   */
+  _load(cacheKey, fetchFunction, options) {
+    const {
+      ttl = this.ttl,
+      staleWhileRevalidate = this.staleWhileRevalidate,
+      tags = []
+    } = options;
+    const version = this.version;
+
+    const promise = (async () => {
+      const data = await fetchFunction();
+      const entryTags = (typeof tags === 'function' ? tags(data) : tags).map(tag => this._key(tag));
+
+      // A write touching this entry landed mid-fetch, so the result may already be stale
+      const staleSince = this._invalidatedSince([cacheKey, ...entryTags], version);
+      if (staleSince) {
+        return { data, staleSince };
+      }
+
+      const storeTTL = ttl ? ttl + staleWhileRevalidate : 0;
+      await this.store.set(cacheKey, {
+        data,
+        expiresAt: ttl ? Date.now() + (ttl * 1000) : null
+      }, storeTTL);
+
+      if (entryTags.length > 0 && this._supportsTags()) {
+        await this.store.tag(cacheKey, entryTags, storeTTL);
+      }
+
+      return { data, staleSince: 0 };
+    })();
+
+    this.inFlight.set(cacheKey, { promise, version });
+    const settle = () => {
+      if (this.inFlight.has(cacheKey) && this.inFlight.get(cacheKey).promise === promise) {
+        this.inFlight.delete(cacheKey);
+      }
+      this._pruneInvalidations();
+    };
+    promise.then(settle, settle);
+
+    return promise;
+  }
+
+  /**
+   * Evict every entry carrying any of the given tags
+   * @param {Array<string>} tags - Tags to invalidate
+   */
+  async invalidate(tags = []) {
+    if (!this.enabled || tags.length === 0) return;
+
+    // Stores without tag support can only be invalidated wholesale
+    if (!this._supportsTags()) {
+      return this.clear();
+    }
+
+    const tagKeys = tags.map(tag => this._key(tag));
+    this._markInvalidated(tagKeys);
+    await this.store.invalidate(tagKeys);
+  }
+
   async clear(key) {
     if (!this.enabled) return;
 
     if (key) {
-      const cacheKey = `${this.modelName}:${key}`;
-      this.cache.delete(cacheKey);
+      const cacheKey = this._key(key);
+      this._markInvalidated([cacheKey]);
+      this.inFlight.delete(cacheKey);
+      await this.store.del(cacheKey);
     } else {
-      this.cache.clear();
+      // Every fetch started before now is suspect
+      this.clearedAt = ++this.version;
+      this.inFlight.clear();
+      await this.store.clear(`${this.modelName}:`);
+    }
+  }
+
+  /**
+   * Hit/miss counters merged with whatever the store reports (size, evictions, ...)
+   * @returns {Promise<Object>} - Cache statistics
+   */
+  async getStats() {
+    if (!this.enabled) {
+      throw new Error('Cache is not enabled');
     }
+
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      staleHits: this.staleHits,
+      coalesced: this.coalesced,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      ...(typeof this.store.stats === 'function' ? await this.store.stats() : {})
+    };
+  }
+
+  async close() {
+    if (this.store && typeof this.store.close === 'function') {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Record a write to these keys or tags. Fetches started before it that
+   * depend on one of them must not populate the cache.
+   * @private
+   */
+  _markInvalidated(keys) {
+    const version = ++this.version;
+    keys.forEach(key => this.invalidatedAt.set(key, version));
+  }
+
+  /**
+   * First write after `version` to any of the keys (or a full clear), or 0
+   * @private
+   */
+  _invalidatedSince(keys, version) {
+    const writes = [this.clearedAt, ...keys.map(key => this.invalidatedAt.get(key) || 0)]
+      .filter(at => at > version);
+    return writes.length > 0 ? Math.min(...writes) : 0;
+  }
+
+  /**
+   * Forget writes no pending fetch started before
+   * @private
+   */
+  _pruneInvalidations() {
+    if (this.inFlight.size === 0) {
+      this.invalidatedAt.clear();
+      return;
+    }
+
+    const oldest = Math.min(...[...this.inFlight.values()].map(({ version }) => version));
+    for (const [key, version] of this.invalidatedAt) {
+      if (version <= oldest) this.invalidatedAt.delete(key);
+    }
+  }
+
+  _key(key) {
+    return `${this.modelName}:${key}`;
+  }
+
+  _supportsTags() {
+    return typeof this.store.tag === 'function' && typeof this.store.invalidate === 'function';
   }
 }
 
-module.exports = CacheManager; 
\ No newline at end of file
+module.exports = CacheManager;
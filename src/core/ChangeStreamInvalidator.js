@@ -0,0 +1,146 @@
+const { QUERY_TAG } = require('../helpers/cacheTags');
+
+// Raised when the oplog no longer holds the resume point
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+const WATCHED_OPERATIONS = ['insert', 'update', 'replace', 'delete', 'drop', 'rename', 'invalidate'];
+
+// Events that end the stream; their resume tokens can't be resumed after
+const TERMINAL_OPERATIONS = ['drop', 'rename', 'invalidate'];
+
+/**
+ * Evicts cache entries for writes seen on the model's change stream, so
+ * writes made by other processes or services don't leave stale entries
+ */
+class ChangeStreamInvalidator {
+  constructor(transactionManager, crudManager, options = {}) {
+    this.transaction = transactionManager;
+    this.crud = crudManager;
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+    this.stream = null;
+    this.resumeToken = null;
+    this.retryTimer = null;
+    this.attempts = 0;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return this;
+
+    this.stopped = false;
+    this._open();
+    return this;
+  }
+
+  async stop() {
+    this.stopped = true;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await stream.close();
+    }
+  }
+
+  _open() {
+    const pipeline = [{ $match: { operationType: { $in: WATCHED_OPERATIONS } } }];
+    const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+    const stream = this.transaction.watch(pipeline, options);
+    this.stream = stream;
+
+    stream.on('change', change => this._handleChange(change));
+    stream.on('resumeTokenChanged', token => {
+      this.resumeToken = token;
+    });
+    stream.on('error', error => this._reopen(stream, error));
+    stream.on('close', () => this._reopen(stream));
+  }
+
+  async _handleChange(change) {
+    this.resumeToken = TERMINAL_OPERATIONS.includes(change.operationType) ? null : change._id;
+    this.attempts = 0;
+
+    const id = change.documentKey ? [String(change.documentKey._id)] : [];
+
+    try {
+      switch (change.operationType) {
+        case 'insert':
+          await this.crud.invalidateCreated(change.documentKey);
+          break;
+        case 'update': {
+          const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+          await this.crud.invalidateChanged(id, {
+            $set: updatedFields,
+            $unset: removedFields.reduce((acc, field) => ({ ...acc, [field]: '' }), {})
+          });
+          break;
+        }
+        case 'replace':
+          // Any field may have changed, so every cached query is suspect
+          await this.crud.invalidateChanged(id);
+          await this.crud.cacheManager.invalidate([QUERY_TAG]);
+          break;
+        case 'delete':
+          await this.crud.invalidateChanged(id);
+          break;
+        default:
+          // drop / rename / invalidate: the collection itself is gone
+          await this.crud.cacheManager.clear();
+      }
+    } catch (error) {
+      console.error('Change stream cache invalidation failed:', error);
+    }
+  }
+
+  _reopen(stream, error) {
+    // 'error' is usually followed by 'close'; only react once per stream
+    if (this.stopped || stream !== this.stream) return;
+    this.stream = null;
+
+    if (error) {
+      console.error('Cache change stream failed, reconnecting:', error.message);
+      if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+        this.resumeToken = null;
+      }
+    }
+    if (typeof stream.close === 'function' && !stream.closed) {
+      Promise.resolve(stream.close()).catch(() => {});
+    }
+
+    this._scheduleRetry();
+  }
+
+  /**
+   * Reopen the stream after a backoff delay; failures schedule another attempt
+   * @private
+   */
+  _scheduleRetry() {
+    const delay = Math.min(this.retryDelay * (2 ** this.attempts), this.maxRetryDelay);
+    this.attempts++;
+
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      if (this.stopped) return;
+
+      try {
+        // Without a resume point, writes made while disconnected were missed
+        if (!this.resumeToken) {
+          await this.crud.cacheManager.clear();
+        }
+        if (this.stopped) return;
+        this._open();
+      } catch (error) {
+        console.error('Cache change stream failed to reopen, retrying:', error.message);
+        if (!this.stopped) this._scheduleRetry();
+      }
+    }, delay);
+  }
+}
+
+module.exports = ChangeStreamInvalidator;
@@ -1,37 +1,66 @@
 const BaseMongoClient = require('./BaseMongoClient');
 const CacheManager = require('./CacheManager');
 const crud = require('../operations/crud');
+const {
+  WILDCARD_FIELD,
+  QUERY_TAG,
+  WINDOW_TAG,
+  idTag,
+  fieldTag,
+  getDocumentIds,
+  getUpdatedFields,
+  getUpdatedAtField,
+  queryTags,
+  serializeKey
+} = require('../helpers/cacheTags');
 
 class CrudManager extends BaseMongoClient {
-  constructor(model, options = {}) {
+  constructor(model, options = {}, cacheManager = null) {
     super(model, options);
-    this.cacheManager = new CacheManager(model.modelName, options);
+    this.cacheManager = cacheManager || new CacheManager(model.modelName, options);
+    this.derivedFields = {};
+  }
+
+  /**
+   * Register a field the library computes from other fields, so cached
+   * queries on it are invalidated when its sources change
+   * @param {string} field - Derived field
+   * @param {Array<string>} sources - Fields it is built from
+   */
+  addDerivedField(field, sources) {
+    this.derivedFields[field] = sources.map(source => source.split('.')[0]);
   }
 
   async create(data) {
     this._validateData(data);
-    return this._executeWithMonitoring('create', () => crud.create(this.Model, data));
+    const result = await this._executeWithMonitoring('create', () => crud.create(this.Model, data));
+    await this.invalidateCreated(result);
+    return result;
   }
 
   async createMany(dataArray) {
     if (!Array.isArray(dataArray) || dataArray.length === 0) {
       throw new Error('Data array is required and must not be empty');
     }
-    return this._executeWithMonitoring('createMany', () => crud.createMany(this.Model, dataArray));
+    const results = await this._executeWithMonitoring('createMany', () => crud.createMany(this.Model, dataArray));
+    await this.invalidateCreated(results);
+    return results;
   }
 
   async findById(id, options = {}) {
     this._validateId(id);
     return this.cacheManager.read(
       `id:${id}`,
-      () => this._executeWithMonitoring('findById', () => crud.findById(this.Model, id))
+      () => this._executeWithMonitoring('findById', () => crud.findById(this.Model, id)),
+      { tags: [idTag(id)] }
     );
   }
 
   async findOne(filter = {}, options = {}) {
     return this.cacheManager.read(
-      `one:${JSON.stringify(filter)}`,
-      () => this._executeWithMonitoring('findOne', () => crud.findOne(this.Model, filter))
+      `one:${serializeKey(filter)}`,
+      () => this._executeWithMonitoring('findOne', () => crud.findOne(this.Model, filter)),
+      { tags: queryTags(filter) }
     );
   }
 
@@ -57,8 +86,9 @@ class CrudManager extends BaseMongoClient {
 
     if (useCache) {
       return this.cacheManager.read(
-        `many:${JSON.stringify({filter, select, sort, skip, limit})}`,
-        () => this._executeWithMonitoring('find', queryExecutor)
+        `many:${serializeKey({ filter, select, sort, skip, limit, populate })}`,
+        () => this._executeWithMonitoring('find', queryExecutor),
+        { tags: queryTags(filter, sort, { windowed: Boolean(skip) }) }
       );
     }
 
@@ -70,7 +100,7 @@ class CrudManager extends BaseMongoClient {
     const result = await this._executeWithMonitoring('update', 
       () => crud.update(this.Model, filter, data)
     );
-    await this.cacheManager.clear();
+    await this.invalidateChanged(getDocumentIds(result), data);
     return result;
   }
 
@@ -80,15 +110,20 @@ class CrudManager extends BaseMongoClient {
     const result = await this._executeWithMonitoring('updateById', 
       () => crud.updateById(this.Model, id, data)
     );
-    await this.cacheManager.clear(`id:${id}`);
+    await this.invalidateChanged([String(id)], data);
     return result;
   }
 
   async delete(filter) {
+    // deleteOne doesn't return the document, so look up what it will remove
+    const target = this.cacheManager.isEnabled()
+      ? await this.Model.findOne(filter).select('_id')
+      : null;
+
     const result = await this._executeWithMonitoring('delete', 
       () => crud.remove(this.Model, filter)
     );
-    await this.cacheManager.clear();
+    await this.invalidateChanged(getDocumentIds(target));
     return result;
   }
 
@@ -97,9 +132,51 @@ class CrudManager extends BaseMongoClient {
     const result = await this._executeWithMonitoring('deleteById', 
       () => crud.removeById(this.Model, id)
     );
-    await this.cacheManager.clear(`id:${id}`);
+    await this.invalidateChanged([String(id)]);
     return result;
   }
+
+  /**
+   * New documents may match any cached query, but not any cached id lookup
+   * @param {Array|Object} docs - Created document(s)
+   */
+  async invalidateCreated(docs) {
+    await this.cacheManager.invalidate([
+      QUERY_TAG,
+      ...getDocumentIds(docs).map(idTag)
+    ]);
+  }
+
+  /**
+   * Evict entries containing the changed documents, plus queries whose
+   * filter or sort depends on a changed field. Deletes also evict windowed
+   * results (skipped pages, totals).
+   * @param {Array<string>} ids - IDs of the changed documents
+   * @param {Object|Array} update - Update applied to them, omitted for deletes
+   */
+  async invalidateChanged(ids, update) {
+    const tags = ids.map(idTag);
+
+    if (!update) {
+      tags.push(WINDOW_TAG);
+    } else {
+      const fields = getUpdatedFields(update);
+      const updatedAtField = getUpdatedAtField(this.Model);
+      if (updatedAtField) fields.push(updatedAtField);
+
+      Object.entries(this.derivedFields).forEach(([field, sources]) => {
+        if (sources.some(source => fields.includes(source))) fields.push(field);
+      });
+
+      if (fields.includes(WILDCARD_FIELD)) {
+        tags.push(QUERY_TAG);
+      } else {
+        tags.push(fieldTag(WILDCARD_FIELD), ...fields.map(fieldTag));
+      }
+    }
+
+    await this.cacheManager.invalidate(tags);
+  }
 }
 
 module.exports = CrudManager; 
\ No newline at end of file
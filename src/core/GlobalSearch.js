@@ -0,0 +1,149 @@
+const search = require('../operations/search');
+
+/**
+ * Site-wide search across several EasyMongo instances. Each source is queried
+ * for enough hits to fill the requested page, its scores are normalized to
+ * 0-1 (best hit = 1) and weighted, and the hits are merged best first.
+ */
+class GlobalSearch {
+  /**
+   * @param {Object} sources - EasyMongo instances keyed by type, or
+   *   { type: { db, weight, filter, mode, fields } } where mode is 'text' (default) or 'fuzzy'
+   *   and fields are the highlighted fields (the source's search fields by default)
+   * @param {Object} options - Global search options
+   * @param {number} options.maxPerSource - Most hits fetched from one source per query
+   */
+  constructor(sources = {}, options = {}) {
+    this.options = options;
+    this.maxPerSource = options.maxPerSource || 1000;
+    this.sources = Object.entries(sources).map(([type, source]) => {
+      const config = source && source.db ? source : { db: source };
+      if (!config.db || !config.db.Model) {
+        throw new Error(`Search source "${type}" must be an EasyMongo instance`);
+      }
+      if (config.mode === 'fuzzy' && !config.db.fuzzySearchManager) {
+        throw new Error(`Search source "${type}" has no fuzzy fields configured`);
+      }
+      return {
+        type,
+        db: config.db,
+        weight: config.weight !== undefined ? config.weight : 1,
+        filter: config.filter || {},
+        mode: config.mode || 'text',
+        fields: config.fields || (config.db.searchManager ? config.db.searchManager.sourceFields : [])
+      };
+    });
+
+    if (this.sources.length === 0) {
+      throw new Error('GlobalSearch needs at least one source');
+    }
+  }
+
+  /**
+   * Search every source and paginate the merged hits
+   * @param {Object} options - Search options
+   * @param {string} options.text - Search text
+   * @param {Array<string>} options.types - Limit the search to these source types
+   * @param {number} options.page - Page of the merged results
+   * @param {number} options.limit - Hits per page
+   * @param {Object} options.highlight - Highlight options for text sources
+   * @returns {Promise<Object>} - { data: [{ type, score, document }], pagination }, where
+   *   pagination.capped means a source had more than maxPerSource hits: hits past them can't be
+   *   paged to, and a capped fuzzy source only counts up to maxPerSource
+   */
+  async search({ text, types, page = 1, limit = 10, highlight } = {}) {
+    if (!text) {
+      throw new Error('Search text is required');
+    }
+
+    const sources = types
+      ? this.sources.filter(source => types.includes(source.type))
+      : this.sources;
+    const needed = Math.min(page * limit, this.maxPerSource);
+
+    try {
+      const results = await Promise.all(sources.map(source => (
+        this._searchSource(source, { text, limit: needed, highlight })
+      )));
+
+      const hits = results.flatMap(({ source, documents }) => {
+        const best = Math.max(0, ...documents.map(doc => doc.score || 0));
+        return documents.map((document, rank) => ({
+          type: source.type,
+          score: (best > 0 ? (document.score || 0) / best : 0) * source.weight,
+          rank,
+          document
+        }));
+      });
+
+      // Equal scores alternate between sources by their rank within each source
+      hits.sort((a, b) => (b.score - a.score) || (a.rank - b.rank));
+
+      const total = results.reduce((sum, { total: sourceTotal }) => sum + sourceTotal, 0);
+      const capped = results.some(result => result.capped);
+      // Only the first maxPerSource hits of each source can be served
+      const available = results.reduce((sum, { total: sourceTotal }) => (
+        sum + Math.min(sourceTotal, this.maxPerSource)
+      ), 0);
+      const skip = (page - 1) * limit;
+
+      return {
+        data: hits.slice(skip, skip + limit).map(({ type, score, document }) => ({ type, score, document })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(available / limit),
+          hasNextPage: page * limit < available,
+          hasPrevPage: page > 1,
+          capped
+        }
+      };
+    } catch (error) {
+      console.error('Global search failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Top hits of one source as plain documents with a `score`, plus its match count
+   * @private
+   */
+  async _searchSource(source, { text, limit, highlight }) {
+    const { db, filter, mode, fields } = source;
+
+    // Fuzzy hits are ranked in memory, so the total is only known up to maxPerSource;
+    // one extra hit (and candidate, as candidateLimit caps the hits) tells whether there are more
+    if (mode === 'fuzzy') {
+      const documents = await db.fuzzySearch({
+        query: text,
+        filter,
+        limit: this.maxPerSource + 1,
+        candidateLimit: this.maxPerSource + 1
+      });
+      return {
+        source,
+        documents: documents.slice(0, limit),
+        total: Math.min(documents.length, this.maxPerSource),
+        capped: documents.length > this.maxPerSource
+      };
+    }
+
+    const searchText = db.synonyms ? db.synonyms.expandText(text) : text;
+    const query = { $text: { $search: searchText }, ...filter };
+    const [documents, total] = await Promise.all([
+      search.searchWithText(db.Model, {
+        searchText,
+        filter,
+        limit,
+        lean: true,
+        highlight: highlight && { fields, ...highlight }
+      }),
+      db.Model.countDocuments(query)
+    ]);
+
+    return { source, documents, total, capped: total > this.maxPerSource };
+  }
+}
+
+module.exports = GlobalSearch;
@@ -1,6 +1,37 @@
+const CacheManager = require('./CacheManager');
+const { queryTags, pipelineTags } = require('../helpers/cacheTags');
+const {
+    normalizeSort,
+    encodeCursor,
+    decodeCursor,
+    decodeOffsetCursor,
+    buildKeysetFilter
+} = require('../helpers/cursor');
+
+const COUNT_MODES = ['exact', 'estimated', 'capped', 'none'];
+
+// Server errors for results over the 16MB BSON document limit
+const DOCUMENT_TOO_LARGE_CODES = [10334, 17419];
+
+const isDocumentTooLarge = (error) => DOCUMENT_TOO_LARGE_CODES.includes(error.code) ||
+    /BSONObjectTooLarge|exceeds maximum document size|exceeds the limit of \d+ bytes/i.test(error.message || '');
+
+/**
+ * Rows to skip for a numbered page; an `after` offset cursor (from a Relay
+ * connection of a numbered page) starts right after the row it points at
+ */
+const pageRange = (page, limit, after) => {
+    if (after === undefined || after === null) {
+        return { skip: (page - 1) * limit, page };
+    }
+    const skip = decodeOffsetCursor(after) + 1;
+    return { skip, page: Math.floor(skip / limit) + 1, offset: skip };
+};
+
 class PaginationManager {
-    constructor(model, options = {}) {
+    constructor(model, options = {}, cacheManager = null) {
         this.Model = model;
+        this.cacheManager = cacheManager || new CacheManager(model.modelName, options);
         this.defaultOptions = {
             page: 1,
             limit: 10,
@@ -8,80 +39,323 @@ class PaginationManager {
             lean: true,
             ...options
         };
+        this.cursorSecret = options.pagination && options.pagination.cursorSecret;
     }
 
+    /**
+     * Numbered pages over a find query
+     * @param {Object} query - MongoDB filter
+     * @param {Object} options - { page, limit, after, sort, select, populate, lean, collation, hint, count, maxCount, cache }
+     * @param {string} options.after - Offset cursor from toRelayConnection(); the page starts after
+     *   that row and pagination.offset reports where
+     * @param {string} options.count - 'exact' (default), 'estimated' (unfiltered queries only),
+     *   'capped' (count up to maxCount) or 'none' (no count, only hasNextPage)
+     * @returns {Promise<Object>} - { data, pagination } where pagination.countMode is the count actually used
+     */
     async paginate(query = {}, options = {}) {
-        const { page = this.defaultOptions.page, limit = this.defaultOptions.limit, sort = this.defaultOptions.sort } = options;
-        
+        const {
+            page = this.defaultOptions.page,
+            limit = this.defaultOptions.limit,
+            sort = this.defaultOptions.sort,
+            select,
+            populate,
+            lean = this.defaultOptions.lean,
+            collation,
+            hint,
+            count = 'exact',
+            maxCount = 10000,
+            after,
+            cache
+        } = options;
+
+        if (!COUNT_MODES.includes(count)) {
+            throw new Error(`Unknown count mode "${count}"; expected one of ${COUNT_MODES.join(', ')}`);
+        }
+
         try {
-            const skip = (page - 1) * limit;
-            const [data, total] = await Promise.all([
-                this.Model.find(query)
+            return await this.cacheManager.readQuery(cache, {
+                namespace: 'page',
+                descriptor: { query, page, limit, after, sort, select, populate, lean, collation, hint, count, maxCount },
+                tags: queryTags(query, sort, { windowed: true })
+            }, async () => {
+                const range = pageRange(page, limit, after);
+                const { skip } = range;
+
+                // Without an exact total, one extra row tells whether another page exists
+                const probeNextPage = count === 'capped' || count === 'none';
+
+                let findQuery = this.Model.find(query)
                     .sort(sort)
                     .skip(skip)
-                    .limit(limit),
-                this.Model.countDocuments(query)
-            ]);
+                    .limit(probeNextPage ? limit + 1 : limit);
+                if (select) findQuery = findQuery.select(select);
+                if (populate) findQuery = findQuery.populate(populate);
+                if (collation) findQuery = findQuery.collation(collation);
+                if (hint) findQuery = findQuery.hint(hint);
+                if (lean) findQuery = findQuery.lean();
+
+                // The count uses the same collation so both agree on which documents match
+                const countOptions = {};
+                if (collation) countOptions.collation = collation;
+                if (hint) countOptions.hint = hint;
+
+                const [rows, counted] = await Promise.all([
+                    findQuery,
+                    this._count(query, count, maxCount, countOptions)
+                ]);
+                const data = probeNextPage ? rows.slice(0, limit) : rows;
+                const { total, countMode, capped } = counted;
 
-            return {
-                data,
-                pagination: {
+                const pagination = {
                     total,
-                    page,
+                    page: range.page,
                     limit,
-                    pages: Math.ceil(total / limit),
-                    hasNextPage: page * limit < total,
-                    hasPrevPage: page > 1
+                    pages: total === null ? null : Math.ceil(total / limit),
+                    hasNextPage: probeNextPage ? rows.length > limit : skip + limit < total,
+                    hasPrevPage: skip > 0,
+                    countMode
+                };
+                if (range.offset !== undefined) pagination.offset = range.offset;
+                if (countMode === 'capped') {
+                    // total is a lower bound ("10000+") when capped is true
+                    pagination.capped = capped;
                 }
-            };
+
+                return { data, pagination };
+            });
         } catch (error) {
             console.error('Pagination failed:', error);
             throw error;
         }
     }
 
-    async paginateAggregate(pipeline = [], options = {}) {
-        const { page = this.defaultOptions.page, limit = this.defaultOptions.limit } = options;
-        
-        try {
-            const skip = (page - 1) * limit;
+    /**
+     * Count matches using the requested strategy
+     * @private
+     */
+    async _count(query, mode, maxCount, countOptions) {
+        if (mode === 'none') {
+            return { total: null, countMode: 'none' };
+        }
 
-            // Add pagination stages to the pipeline
-            const paginatedPipeline = [
-                ...pipeline,
-                { $skip: skip },
-                { $limit: limit }
-            ];
+        // estimatedDocumentCount reads collection metadata, so it can't apply a filter
+        if (mode === 'estimated' && Object.keys(query).length === 0) {
+            return { total: await this.Model.estimatedDocumentCount(), countMode: 'estimated' };
+        }
 
-            // Get total count using the original pipeline
-            const countPipeline = [
-                ...pipeline,
-                { $count: 'total' }
-            ];
+        if (mode === 'capped') {
+            const total = await this.Model.countDocuments(query, { ...countOptions, limit: maxCount + 1 });
+            return { total: Math.min(total, maxCount), countMode: 'capped', capped: total > maxCount };
+        }
 
-            const [data, countResult] = await Promise.all([
-                this.Model.aggregate(paginatedPipeline),
-                this.Model.aggregate(countPipeline)
-            ]);
+        return { total: await this.Model.countDocuments(query, countOptions), countMode: 'exact' };
+    }
+
+    /**
+     * Numbered pages over an aggregation pipeline
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - { page, limit, after, facet, allowDiskUse, maxTimeMS, cache }
+     * @param {string} options.after - Offset cursor, as in paginate()
+     * @param {boolean} options.facet - Run data and total in one $facet round trip instead of
+     *   two pipelines; falls back to two when the page exceeds the 16MB document limit
+     * @returns {Promise<Object>} - { data, pagination }
+     */
+    async paginateAggregate(pipeline = [], options = {}) {
+        const {
+            page = this.defaultOptions.page,
+            limit = this.defaultOptions.limit,
+            facet = false,
+            allowDiskUse,
+            maxTimeMS,
+            after,
+            cache
+        } = options;
 
-            const total = countResult[0]?.total || 0;
+        // Aggregate options applied to every pipeline this page runs
+        const aggregateOptions = {};
+        if (allowDiskUse !== undefined) aggregateOptions.allowDiskUse = allowDiskUse;
+        if (maxTimeMS !== undefined) aggregateOptions.maxTimeMS = maxTimeMS;
 
-            return {
-                data,
-                pagination: {
+        try {
+            return await this.cacheManager.readQuery(cache, {
+                namespace: 'pageAggregate',
+                descriptor: { pipeline, page, limit, after, facet },
+                tags: pipelineTags()
+            }, async () => {
+                const range = pageRange(page, limit, after);
+                const { skip } = range;
+
+                const { data, total } = facet
+                    ? await this._aggregateFacetPage(pipeline, skip, limit, aggregateOptions)
+                    : await this._aggregatePage(pipeline, skip, limit, aggregateOptions);
+
+                const pagination = {
                     total,
-                    page,
+                    page: range.page,
                     limit,
                     pages: Math.ceil(total / limit),
-                    hasNextPage: page * limit < total,
-                    hasPrevPage: page > 1
-                }
-            };
+                    hasNextPage: skip + limit < total,
+                    hasPrevPage: skip > 0
+                };
+                if (range.offset !== undefined) pagination.offset = range.offset;
+
+                return { data, pagination };
+            });
         } catch (error) {
             console.error('Aggregate pagination failed:', error);
             throw error;
         }
     }
+
+    /**
+     * Run the pipeline twice: once for the page, once for the count
+     * @private
+     */
+    async _aggregatePage(pipeline, skip, limit, aggregateOptions = {}) {
+        // Add pagination stages to the pipeline
+        const paginatedPipeline = [
+            ...pipeline,
+            { $skip: skip },
+            { $limit: limit }
+        ];
+
+        // Get total count using the original pipeline
+        const countPipeline = [
+            ...pipeline,
+            { $count: 'total' }
+        ];
+
+        const [data, countResult] = await Promise.all([
+            this.Model.aggregate(paginatedPipeline).option(aggregateOptions),
+            this.Model.aggregate(countPipeline).option(aggregateOptions)
+        ]);
+
+        return { data, total: countResult[0]?.total || 0 };
+    }
+
+    /**
+     * Run the pipeline once, splitting it into data and total branches. $facet returns a
+     * single document, so a page over 16MB fails; that page is retried with two pipelines.
+     * @private
+     */
+    async _aggregateFacetPage(pipeline, skip, limit, aggregateOptions = {}) {
+        try {
+            const [result] = await this.Model.aggregate([
+                ...pipeline,
+                {
+                    $facet: {
+                        data: [{ $skip: skip }, { $limit: limit }],
+                        total: [{ $count: 'total' }]
+                    }
+                }
+            ]).option(aggregateOptions);
+
+            return { data: result.data, total: result.total[0]?.total || 0 };
+        } catch (error) {
+            if (!isDocumentTooLarge(error)) throw error;
+            return this._aggregatePage(pipeline, skip, limit, aggregateOptions);
+        }
+    }
+
+    /**
+     * Keyset pagination: pages are read from a cursor position instead of skipping rows,
+     * so deep pages stay fast and rows aren't repeated or missed when data changes.
+     * @param {Object} query - MongoDB filter
+     * @param {Object} options - { after, before, limit, sort, withCursors, cache }
+     * @param {boolean} options.withCursors - Also return a cursor for every row in pagination.cursors
+     * @returns {Promise<Object>} - { data, pagination: { limit, hasNextPage, hasPrevPage, startCursor, endCursor } }
+     */
+    async paginateCursor(query = {}, options = {}) {
+        const { after, before, limit = this.defaultOptions.limit, sort = this.defaultOptions.sort, withCursors, cache } = options;
+
+        try {
+            return await this.cacheManager.readQuery(cache, {
+                namespace: 'cursor',
+                descriptor: { query, after, before, limit, sort, withCursors },
+                tags: queryTags(query, sort, { windowed: true })
+            }, () => this._readCursorPage({ after, before, limit, sort, withCursors }, (keyset, pageSort) => (
+                this.Model.find(keyset ? { $and: [query, keyset] } : query)
+                    .sort(pageSort)
+                    .limit(limit + 1)
+            )));
+        } catch (error) {
+            console.error('Cursor pagination failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Keyset pagination over an aggregation pipeline. Sort fields must be present in the pipeline output.
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - { after, before, limit, sort, withCursors, cache }
+     * @returns {Promise<Object>} - Same shape as paginateCursor
+     */
+    async paginateCursorAggregate(pipeline = [], options = {}) {
+        const { after, before, limit = this.defaultOptions.limit, sort = this.defaultOptions.sort, withCursors, cache } = options;
+
+        try {
+            return await this.cacheManager.readQuery(cache, {
+                namespace: 'cursorAggregate',
+                descriptor: { pipeline, after, before, limit, sort, withCursors },
+                tags: pipelineTags()
+            }, () => this._readCursorPage({ after, before, limit, sort, withCursors }, (keyset, pageSort) => (
+                this.Model.aggregate([
+                    ...pipeline,
+                    ...(keyset ? [{ $match: keyset }] : []),
+                    { $sort: pageSort },
+                    { $limit: limit + 1 }
+                ])
+            )));
+        } catch (error) {
+            console.error('Aggregate cursor pagination failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page (plus one row to detect more) in either direction
+     * @private
+     */
+    async _readCursorPage({ after, before, limit, sort, withCursors }, fetchPage) {
+        if (after && before) {
+            throw new Error('Use either after or before, not both');
+        }
+        if (!this.cursorSecret) {
+            throw new Error('pagination.cursorSecret is not configured');
+        }
+
+        const sortKeys = normalizeSort(sort);
+        const backward = Boolean(before);
+        const cursor = after || before;
+        const keyset = cursor
+            ? buildKeysetFilter(sortKeys, decodeCursor(cursor, sortKeys, this.cursorSecret), backward)
+            : null;
+
+        // Paging backward reads in reverse order, then flips the page back
+        const pageSort = sortKeys.reduce((acc, [field, direction]) => {
+            acc[field] = backward ? -direction : direction;
+            return acc;
+        }, {});
+
+        const rows = await fetchPage(keyset, pageSort);
+        const hasMore = rows.length > limit;
+        const data = rows.slice(0, limit);
+        if (backward) data.reverse();
+
+        const cursorAt = index => encodeCursor(data[index], sortKeys, this.cursorSecret);
+        const pagination = {
+            limit,
+            hasNextPage: backward ? true : hasMore,
+            hasPrevPage: backward ? hasMore : Boolean(after),
+            startCursor: data.length > 0 ? cursorAt(0) : null,
+            endCursor: data.length > 0 ? cursorAt(data.length - 1) : null
+        };
+        if (withCursors) {
+            pagination.cursors = data.map((row, index) => cursorAt(index));
+        }
+
+        return { data, pagination };
+    }
 }
 
-module.exports = PaginationManager; 
\ No newline at end of file
+module.exports = PaginationManager;
@@ -1,58 +1,214 @@
 const BaseMongoClient = require('./BaseMongoClient');
+const CacheManager = require('./CacheManager');
 const search = require('../operations/search');
+const { parseQueryString, textIndexedPaths, escapeRegex } = require('../builders/queryBuilder');
+const { queryTags, pipelineTags } = require('../helpers/cacheTags');
+const { applyHighlights } = require('../helpers/highlight');
+const { searchTextPaths, normalizeWeights } = require('../operations/searchIndex');
+
+/**
+ * Fields search({ q }) may query unless search.queryFields is set: the text-indexed
+ * paths plus the source fields of the search, fuzzy and autocomplete indexes
+ */
+const defaultQueryFields = (schema, { fields, fuzzy, autocomplete }) => {
+  const indexed = textIndexedPaths(schema);
+  if (!indexed) return '*';
+
+  return [...new Set([
+    ...indexed,
+    ...(fields ? Object.keys(normalizeWeights(fields)) : []),
+    ...((fuzzy && fuzzy.fields) || []),
+    ...((autocomplete && autocomplete.fields) || [])
+  ])];
+};
 
 class SearchManager extends BaseMongoClient {
-  constructor(model, options = {}) {
+  constructor(model, options = {}, cacheManager = null, synonyms = null) {
     super(model, options);
+    this.cacheManager = cacheManager || new CacheManager(model.modelName, options);
+    this.synonyms = synonyms;
+    this.textField = (options.search && options.search.textField) || 'searchableText';
+    // With source fields configured, the text is stored per field under textField
+    this.textPaths = options.search && options.search.fields
+      ? searchTextPaths(this.textField, options.search.fields)
+      : [this.textField];
+    // Fields whose text the caller sees in results, for highlighting
+    this.sourceFields = options.search && options.search.fields
+      ? Object.keys(normalizeWeights(options.search.fields))
+      : [this.textField];
+    this.geoField = (options.search && options.search.geoField) || 'location.coordinates';
+    this.queryFields = (options.search && options.search.queryFields) ||
+      defaultQueryFields(model.schema, options.search || {});
   }
 
-  async search({ text, fields = [] }) {
+  async search({ text, q, fields = [], highlight, cache }) {
     try {
-      const searchQuery = {};
-      if (fields && fields.length > 0) {
-        searchQuery.$text = { $search: text };
-        return this.Model.find(searchQuery).sort({ score: { $meta: 'textScore' } });
-      } else {
-        searchQuery.searchableText = { $regex: text, $options: 'i' };
-        return this.Model.find(searchQuery);
+      let searchQuery = {};
+      let sort;
+      const searchText = this.synonyms ? this.synonyms.expandText(text) : text;
+      if (text && fields && fields.length > 0) {
+        searchQuery.$text = { $search: searchText };
+        sort = { score: { $meta: 'textScore' } };
+      } else if (text) {
+        const variants = this.synonyms ? this.synonyms.variants(text) : [text];
+        const condition = variants.length > 1
+          ? { $in: variants.map(variant => new RegExp(escapeRegex(variant), 'i')) }
+          : { $regex: escapeRegex(variants[0]), $options: 'i' };
+        if (this.textPaths.length === 1) {
+          searchQuery[this.textPaths[0]] = condition;
+        } else {
+          searchQuery.$or = this.textPaths.map(path => ({ [path]: condition }));
+        }
       }
+
+      if (q) {
+        const parsed = parseQueryString(q, {
+          schema: this.Model.schema,
+          allowedFields: this.queryFields,
+          defaultField: this.textPaths
+        });
+        // $text must stay at the top level, so AND the parsed filter alongside it
+        searchQuery = Object.keys(searchQuery).length > 0
+          ? { ...searchQuery, $and: [parsed] }
+          : parsed;
+      }
+
+      return await this.cacheManager.readQuery(cache, {
+        namespace: 'search',
+        descriptor: { filter: searchQuery, sort, highlight },
+        tags: queryTags(searchQuery, sort)
+      }, async () => {
+        const query = this.Model.find(searchQuery);
+        if (sort) query.sort(sort);
+        if (!highlight) return query.exec();
+
+        // Highlighted hits are plain objects carrying a `highlights` map
+        return applyHighlights(await query.lean().exec(), searchText, {
+          fields: fields.length > 0 ? fields : this.textPaths,
+          ...highlight
+        });
+      });
     } catch (error) {
       console.error('Text search failed:', error);
       throw error;
     }
   }
 
-  async searchNearby({ coordinates, maxDistance = 10000 }) {
+  /**
+   * Documents nearest to a point, closest first, each with its distance in meters
+   * @param {Object} options - { coordinates, maxDistance, minDistance, filter, page, limit, skip, distanceField, cache }
+   * @returns {Promise<Array>} - Plain documents
+   */
+  async searchNearby({
+    coordinates,
+    maxDistance = 10000,
+    minDistance,
+    filter = {},
+    page,
+    limit,
+    skip,
+    distanceField = 'distance',
+    cache
+  }) {
     try {
-      return this.Model.find({
-        'location.coordinates': {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: coordinates
-            },
-            $maxDistance: maxDistance
-          }
-        }
-      });
+      const pageSize = limit || (page ? 10 : 0);
+      const nearOptions = {
+        field: this.geoField,
+        coordinates,
+        maxDistance,
+        minDistance,
+        filter,
+        distanceField,
+        limit: pageSize,
+        skip: skip !== undefined ? skip : ((page || 1) - 1) * pageSize
+      };
+
+      return await this.cacheManager.readQuery(cache, {
+        namespace: 'nearby',
+        descriptor: nearOptions,
+        tags: pipelineTags()
+      }, () => search.searchNear(this.Model, nearOptions));
+    } catch (error) {
+      console.error('Geospatial search failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Documents inside a polygon, circle (radius in meters) or bounding box
+   * @param {Object} options - { polygon | circle | box | geometry, filter, page, limit, skip, cache }
+   * @returns {Promise<Array>} - Matching documents
+   */
+  async searchWithin({
+    polygon,
+    circle,
+    box,
+    geometry,
+    filter = {},
+    page,
+    limit,
+    skip,
+    cache
+  }) {
+    try {
+      const pageSize = limit || (page ? 10 : 0);
+      const withinOptions = {
+        field: this.geoField,
+        polygon,
+        circle,
+        box,
+        geometry,
+        filter,
+        limit: pageSize,
+        skip: skip !== undefined ? skip : ((page || 1) - 1) * pageSize
+      };
+
+      return await this.cacheManager.readQuery(cache, {
+        namespace: 'within',
+        descriptor: withinOptions,
+        tags: pipelineTags()
+      }, () => search.searchWithin(this.Model, withinOptions));
     } catch (error) {
       console.error('Geospatial search failed:', error);
       throw error;
     }
   }
 
-  async fuzzySearch({ field, query }) {
+  async fuzzySearch({ field, query, cache }) {
     try {
       // Create a case-insensitive regex pattern with flexible matching
-      const regex = new RegExp(query.split('').join('.*'), 'i');
+      const variants = this.synonyms ? this.synonyms.variants(query) : [query];
+      const patterns = variants.map(variant => new RegExp(variant.split('').join('.*'), 'i'));
       const searchQuery = {};
-      searchQuery[field] = regex;
-      return this.Model.find(searchQuery);
+      searchQuery[field] = patterns.length > 1 ? { $in: patterns } : patterns[0];
+
+      return await this.cacheManager.readQuery(cache, {
+        namespace: 'fuzzy',
+        descriptor: { filter: searchQuery },
+        tags: queryTags(searchQuery)
+      }, () => this.Model.find(searchQuery).exec());
     } catch (error) {
       console.error('Fuzzy search failed:', error);
       throw error;
     }
   }
+
+  async facetedSearch({ text, page, limit = 10, skip, cache, ...options } = {}) {
+    try {
+      const offset = skip !== undefined ? skip : ((page || 1) - 1) * limit;
+      const searchText = this.synonyms ? this.synonyms.expandText(text) : text;
+      const searchOptions = { ...options, searchText, limit, skip: offset };
+
+      return await this.cacheManager.readQuery(cache, {
+        namespace: 'faceted',
+        descriptor: searchOptions,
+        tags: pipelineTags()
+      }, () => search.facetedSearch(this.Model, searchOptions));
+    } catch (error) {
+      console.error('Faceted search failed:', error);
+      throw error;
+    }
+  }
 }
 
-module.exports = SearchManager; 
\ No newline at end of file
+module.exports = SearchManager;
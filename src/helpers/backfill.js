@@ -0,0 +1,41 @@
+/**
+ * Stream documents and write a derived $set back to each one in batches
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options - Backfill options
+ * @param {Object} options.filter - Limit the backfill to matching documents
+ * @param {Object} options.projection - Fields needed to build the update
+ * @param {number} options.batchSize - Documents per bulk write
+ * @param {Object} options.session - Session to read and write in
+ * @param {Function} buildSet - Maps a lean document to the fields to $set
+ * @returns {Promise<Object>} - Number of documents updated
+ */
+const backfillDocuments = async (Model, { filter = {}, projection = {}, batchSize = 1000, session = null } = {}, buildSet) => {
+  const cursor = Model.find(filter, projection).session(session).lean().cursor({ batchSize });
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Model.bulkWrite(operations, { ordered: false, ...(session ? { session } : {}) });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: { filter: { _id: doc._id }, update: { $set: buildSet(doc) } }
+    });
+
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updated };
+};
+
+module.exports = {
+  backfillDocuments
+};
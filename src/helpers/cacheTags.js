@@ -0,0 +1,156 @@
+// Operators whose effect can't be traced back to specific fields
+const OPAQUE_OPERATORS = ['$where', '$expr', '$text', '$function'];
+
+const WILDCARD_FIELD = '*';
+
+const topLevelField = (path) => path.split('.')[0];
+
+/**
+ * Collect the _id of every document in a query result
+ */
+const getDocumentIds = (data) => {
+  // Paginated results wrap their documents in `data`
+  const result = data && Array.isArray(data.data) ? data.data : data;
+  const docs = Array.isArray(result) ? result : [result];
+  return docs
+    .filter(doc => doc && doc._id !== undefined && doc._id !== null)
+    .map(doc => String(doc._id));
+};
+
+/**
+ * Collect the top-level fields a filter depends on
+ */
+const getFilterFields = (filter = {}, fields = new Set()) => {
+  if (!filter || typeof filter !== 'object') return fields;
+
+  Object.entries(filter).forEach(([key, value]) => {
+    if (OPAQUE_OPERATORS.includes(key)) {
+      fields.add(WILDCARD_FIELD);
+    } else if (key.startsWith('$')) {
+      // $and / $or / $nor hold arrays of sub-filters
+      if (Array.isArray(value)) {
+        value.forEach(subFilter => getFilterFields(subFilter, fields));
+      }
+    } else {
+      fields.add(topLevelField(key));
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Collect the top-level fields a sort spec depends on
+ */
+const getSortFields = (sort) => {
+  if (!sort) return [];
+
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/)
+      .filter(Boolean)
+      .map(field => topLevelField(field.replace(/^[-+]/, '')));
+  }
+
+  const entries = Array.isArray(sort) ? sort : Object.entries(sort);
+  return entries.map(([field]) => topLevelField(field));
+};
+
+/**
+ * Collect the top-level fields an update document changes
+ */
+const getUpdatedFields = (update = {}) => {
+  // Aggregation pipeline updates can touch anything
+  if (Array.isArray(update)) return [WILDCARD_FIELD];
+
+  const fields = new Set();
+  Object.entries(update).forEach(([key, value]) => {
+    if (!key.startsWith('$')) {
+      fields.add(topLevelField(key));
+      return;
+    }
+
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([path, target]) => {
+        fields.add(topLevelField(path));
+        // $rename also writes to the target path
+        if (key === '$rename' && typeof target === 'string') {
+          fields.add(topLevelField(target));
+        }
+      });
+    }
+  });
+
+  return [...fields];
+};
+
+/**
+ * Name of the field mongoose bumps on every update, if timestamps are on
+ */
+const getUpdatedAtField = (Model) => {
+  const timestamps = Model.schema && Model.schema.options.timestamps;
+  if (!timestamps) return null;
+  if (timestamps === true) return 'updatedAt';
+  if (timestamps.updatedAt === false) return null;
+  return typeof timestamps.updatedAt === 'string' ? timestamps.updatedAt : 'updatedAt';
+};
+
+const idTag = (id) => `id:${id}`;
+const fieldTag = (field) => `field:${field}`;
+const QUERY_TAG = 'query';
+// Results that depend on documents they don't contain (skipped pages, totals)
+const WINDOW_TAG = 'window';
+
+/**
+ * Tags for a cached query result: every document it contains, plus
+ * the fields its filter and sort depend on
+ * @param {Object} filter - Query filter
+ * @param {string|Object} sort - Sort spec
+ * @param {Object} options - Tag options
+ * @param {boolean} options.windowed - Whether deleting any matching document can change the result
+ * @returns {Function} - Derives the tags from the fetched result
+ */
+const queryTags = (filter, sort, { windowed = false } = {}) => {
+  const fields = getFilterFields(filter);
+  getSortFields(sort).forEach(field => fields.add(field));
+
+  return (data) => [
+    QUERY_TAG,
+    ...(windowed ? [WINDOW_TAG] : []),
+    ...[...fields].map(fieldTag),
+    ...getDocumentIds(data).map(idTag)
+  ];
+};
+
+/**
+ * Aggregation output can depend on any field, so any write evicts it
+ */
+const pipelineTags = () => (data) => [
+  QUERY_TAG,
+  WINDOW_TAG,
+  fieldTag(WILDCARD_FIELD),
+  ...getDocumentIds(data).map(idTag)
+];
+
+/**
+ * Stable cache key for a query descriptor; JSON.stringify alone turns
+ * every RegExp into `{}`
+ */
+const serializeKey = (value) => JSON.stringify(value, (key, current) => (
+  current instanceof RegExp ? { $regex: current.source, $options: current.flags } : current
+));
+
+module.exports = {
+  WILDCARD_FIELD,
+  QUERY_TAG,
+  WINDOW_TAG,
+  idTag,
+  fieldTag,
+  getDocumentIds,
+  getFilterFields,
+  getSortFields,
+  getUpdatedFields,
+  getUpdatedAtField,
+  queryTags,
+  pipelineTags,
+  serializeKey
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getPath } = require('./documentPaths');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Normalize a sort spec to [[field, 1 | -1], ...] ending with an _id tiebreaker
+ * @param {Object|string} sort - Mongoose sort (object or '-createdAt name')
+ * @returns {Array} - Ordered sort keys
+ */
+const normalizeSort = (sort = {}) => {
+  const entries = typeof sort === 'string'
+    ? sort.split(/\s+/).filter(Boolean).map(key => (
+      key.startsWith('-') ? [key.slice(1), -1] : [key.replace(/^\+/, ''), 1]
+    ))
+    : Object.entries(sort).map(([field, direction]) => [
+      field,
+      ['desc', 'descending', '-1', -1].includes(direction) ? -1 : 1
+    ]);
+
+  if (!entries.some(([field]) => field === '_id')) {
+    const last = entries[entries.length - 1];
+    entries.push(['_id', last ? last[1] : 1]);
+  }
+  return entries;
+};
+
+const sign = (payload, secret) => {
+  // A per-process secret would break cursors across restarts and instances
+  if (!secret) {
+    throw new Error('pagination.cursorSecret is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+/**
+ * Encode the sort values of a document as an opaque, signed cursor
+ * @param {Object} doc - Document the cursor points at
+ * @param {Array} sortKeys - Output of normalizeSort
+ * @param {string} secret - HMAC secret
+ * @returns {string} - Cursor
+ */
+const encodeCursor = (doc, sortKeys, secret) => {
+  const payload = Buffer.from(EJSON.stringify({
+    k: sortKeys,
+    v: sortKeys.map(([field]) => getPath(doc, field))
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Verify and decode a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Array} sortKeys - Sort the cursor must have been created with
+ * @param {string} secret - HMAC secret
+ * @returns {Array} - Sort values
+ */
+const decodeCursor = (cursor, sortKeys, secret) => {
+  const [payload, signature] = String(cursor).split('.');
+  const expected = payload ? sign(payload, secret) : '';
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  const { k, v } = EJSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (JSON.stringify(k) !== JSON.stringify(sortKeys)) {
+    throw new Error('Pagination cursor does not match the requested sort');
+  }
+  return v;
+};
+
+/**
+ * Opaque cursor for a row of a numbered page, accepted as `after` by paginate().
+ * Offsets aren't sensitive, so these cursors are not signed.
+ * @param {number} offset - Zero-based position of the row in the result
+ * @returns {string} - Cursor
+ */
+const encodeOffsetCursor = (offset) => Buffer.from(`offset:${offset}`).toString('base64url');
+
+/**
+ * Decode an offset cursor
+ * @param {string} cursor - Cursor from encodeOffsetCursor
+ * @returns {number} - Offset of the row the cursor points at
+ */
+const decodeOffsetCursor = (cursor) => {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  if (!match) {
+    throw new Error('Invalid pagination cursor');
+  }
+  return Number(match[1]);
+};
+
+/**
+ * Condition for values sorting strictly after `value`. MongoDB sorts null and
+ * missing values before everything else, which $gt and $lt never match.
+ * @returns {Object|null} - Filter, or null when no value can sort after it
+ */
+const afterValue = (field, value, ascending) => {
+  if (value === null || value === undefined) {
+    return ascending ? { [field]: { $ne: null } } : null;
+  }
+  if (ascending) {
+    return { [field]: { $gt: value } };
+  }
+  // _id is never null, so it needs no null branch
+  return field === '_id'
+    ? { [field]: { $lt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Filter for the documents after (or before) a cursor position:
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+ * @param {Array} sortKeys - Output of normalizeSort
+ * @param {Array} values - Decoded cursor values
+ * @param {boolean} backward - Page before the cursor instead of after it
+ * @returns {Object} - MongoDB filter
+ */
+const buildKeysetFilter = (sortKeys, values, backward = false) => ({
+  $or: sortKeys.map(([field, direction], index) => {
+    const ascending = backward ? direction < 0 : direction > 0;
+    const after = afterValue(field, values[index], ascending);
+    if (!after) return null;
+
+    // { field: null } also matches a missing field, like the sort does
+    const condition = { ...after };
+    sortKeys.slice(0, index).forEach(([previous], i) => {
+      condition[previous] = values[i] === undefined ? null : values[i];
+    });
+    return condition;
+  }).filter(Boolean)
+});
+
+module.exports = {
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  buildKeysetFilter
+};
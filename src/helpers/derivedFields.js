@@ -0,0 +1,143 @@
+/**
+ * Keeps fields derived from source fields (searchable text, fuzzy tokens,
+ * autocomplete prefixes) in sync through query updates
+ */
+
+const { getPath, readUpdatedValue } = require('./documentPaths');
+const { backfillDocuments } = require('./backfill');
+
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Positional segments ($, $[], $[id]) and array indexes point inside a field
+const fieldPath = path => path
+  .split('.')
+  .filter(key => !/^(\$(\[\w*\])?|\d+)$/.test(key))
+  .join('.');
+
+const overlaps = (path, field) => path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`);
+
+/**
+ * Source fields an update changes in ways that can't be read from the update
+ * itself: operators other than $set/$unset ($push, $inc, $rename, $setOnInsert, ...)
+ * and writes inside a field ('tags.0', 'items.$.name')
+ * @param {Object} update - Mongo update document
+ * @param {Array<string>} fields - Source fields
+ * @returns {Array<string>} - Fields to recompute from the updated documents
+ */
+const unresolvedFields = (update, fields) => {
+  const writes = Object.entries(update).flatMap(([key, value]) => {
+    // Top-level keys without an operator act like $set
+    if (!key.startsWith('$')) return [['$set', key]];
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([path, target]) => (
+      key === '$rename' && typeof target === 'string' ? [[key, path], [key, target]] : [[key, path]]
+    ));
+  });
+
+  return fields.filter(field => writes.some(([operator, path]) => {
+    const target = fieldPath(path);
+    if (!overlaps(target, field)) return false;
+
+    // $set/$unset of the field or a parent is resolved by readUpdatedValue
+    const resolved = ['$set', '$unset'].includes(operator) &&
+      path === target &&
+      !target.startsWith(`${field}.`);
+    return !resolved;
+  }));
+};
+
+/**
+ * Ids of the documents an update is about to change
+ * @private
+ */
+const affectedIds = async (query) => {
+  const session = query.getOptions().session || null;
+
+  if (query.op === 'updateMany') {
+    return query.model.distinct('_id', query.getFilter()).session(session);
+  }
+  // findOneAndUpdate hands its document to the post hook
+  if (query.op === 'findOneAndUpdate') {
+    return [];
+  }
+  const doc = await query.model.findOne(query.getFilter(), '_id').session(session).lean();
+  return doc ? [doc._id] : [];
+};
+
+/**
+ * Ids reported by the write itself (upserts, findOneAndUpdate documents)
+ * @private
+ */
+const resultIds = (result) => {
+  if (!result) return [];
+  if (result.upsertedId) return [result.upsertedId];
+  if (result._id) return [result._id];
+  if (result.value && result.value._id) return [result.value._id];
+  return [];
+};
+
+/**
+ * Register update hooks that maintain `pathOf(field)` as `compute(value)`.
+ * Values set or unset by the update go into the same write; fields changed by
+ * other operators are recomputed from the updated documents right after it.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Derived field options
+ * @param {Array<string>} options.fields - Source fields
+ * @param {Function} options.pathOf - Maps a source field to its derived path
+ * @param {Function} options.compute - Maps a source value to its derived value
+ */
+const syncDerivedFields = (schema, { fields, pathOf, compute }) => {
+  // Several plugins can share a query, so each keeps its own pending state
+  const pending = Symbol('derivedFields');
+
+  schema.pre(UPDATE_HOOKS, async function () {
+    const update = this.getUpdate();
+    // Pipeline updates can't be inspected; run reindex() after using them
+    if (!update || Array.isArray(update)) return;
+
+    const unresolved = unresolvedFields(update, fields);
+    fields
+      .filter(field => !unresolved.includes(field))
+      .forEach(field => {
+        const change = readUpdatedValue(update, field);
+        if (!change) return;
+
+        const path = pathOf(field);
+        if (change.unset) {
+          update.$unset = { ...update.$unset, [path]: '' };
+        } else {
+          update.$set = { ...update.$set, [path]: compute(change.value) };
+        }
+      });
+    this.setUpdate(update);
+
+    if (unresolved.length > 0) {
+      this[pending] = { fields: unresolved, ids: await affectedIds(this) };
+    }
+  });
+
+  schema.post(UPDATE_HOOKS, async function (result) {
+    const recompute = this[pending];
+    if (!recompute) return;
+    this[pending] = null;
+
+    const session = this.getOptions().session || null;
+    let ids = [...recompute.ids, ...resultIds(result)];
+    // An upserting findOneAndUpdate that returns the old (missing) document
+    if (ids.length === 0 && this.op === 'findOneAndUpdate') {
+      const doc = await this.model.findOne(this.getFilter(), '_id').session(session).lean();
+      ids = doc ? [doc._id] : [];
+    }
+    if (ids.length === 0) return;
+
+    const projection = recompute.fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+    await backfillDocuments(this.model, { filter: { _id: { $in: ids } }, projection, session }, doc => (
+      recompute.fields.reduce((acc, field) => ({ ...acc, [pathOf(field)]: compute(getPath(doc, field)) }), {})
+    ));
+  });
+};
+
+module.exports = {
+  syncDerivedFields,
+  unresolvedFields
+};
@@ -0,0 +1,70 @@
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Read a dotted path from a plain object or mongoose document
+ */
+const getPath = (doc, path) => {
+  if (!doc) return undefined;
+  if (typeof doc.get === 'function' && doc.$__) return doc.get(path);
+
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    doc
+  );
+};
+
+/**
+ * Write a dotted path on a plain object or mongoose document
+ */
+const setPath = (doc, path, value) => {
+  if (typeof doc.set === 'function' && doc.$__) {
+    doc.set(path, value);
+    return;
+  }
+
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, doc);
+  target[last] = value;
+};
+
+/**
+ * Find what an update document does to a path
+ * @param {Object} update - Mongo update document
+ * @param {string} path - Dotted field path
+ * @returns {Object|null} - { value } when set, { unset: true } when removed, null when untouched
+ */
+const readUpdatedValue = (update, path) => {
+  // Top-level keys without an operator act like $set
+  const sources = [update.$set, update];
+  const [root] = path.split('.');
+
+  for (const source of sources) {
+    if (!source) continue;
+
+    if (has(source, path)) {
+      return { value: source[path] };
+    }
+    // The whole parent object is being replaced
+    if (root !== path && !root.startsWith('$') && has(source, root)) {
+      return { value: getPath(source[root], path.slice(root.length + 1)) };
+    }
+  }
+
+  if (update.$unset && (has(update.$unset, path) || has(update.$unset, root))) {
+    return { unset: true };
+  }
+
+  return null;
+};
+
+module.exports = {
+  getPath,
+  setPath,
+  readUpdatedValue
+};
@@ -0,0 +1,144 @@
+// Mean earth radius in meters, as used by MongoDB for $centerSphere
+const EARTH_RADIUS_METERS = 6378100;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate a [longitude, latitude] position
+ * @param {Array<number>} position - Position to check
+ * @param {string} label - Name used in error messages
+ * @returns {Array<number>} - The position
+ */
+const validatePosition = (position, label = 'coordinates') => {
+  if (!Array.isArray(position) || position.length < 2 || !position.every(isNumber)) {
+    throw new Error(`Invalid ${label}: expected [longitude, latitude]`);
+  }
+
+  const [longitude, latitude] = position;
+  if (longitude < -180 || longitude > 180) {
+    throw new Error(`Invalid ${label}: longitude ${longitude} is outside -180..180`);
+  }
+  if (latitude < -90 || latitude > 90) {
+    throw new Error(`Invalid ${label}: latitude ${latitude} is outside -90..90`);
+  }
+
+  return position;
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Validate a closed linear ring of at least four positions
+ */
+const validateRing = (ring, label = 'polygon') => {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    throw new Error(`Invalid ${label}: a ring needs at least 4 positions`);
+  }
+  ring.forEach(position => validatePosition(position, label));
+  if (!samePosition(ring[0], ring[ring.length - 1])) {
+    throw new Error(`Invalid ${label}: the first and last positions must be the same`);
+  }
+  return ring;
+};
+
+/**
+ * Validate a GeoJSON Point, Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} - The geometry
+ */
+const validateGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') {
+    throw new Error('Invalid geometry: expected a GeoJSON object');
+  }
+
+  const { type, coordinates } = geometry;
+  switch (type) {
+    case 'Point':
+      validatePosition(coordinates, 'Point');
+      break;
+    case 'Polygon':
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        throw new Error('Invalid Polygon: expected an array of rings');
+      }
+      coordinates.forEach(ring => validateRing(ring, 'Polygon'));
+      break;
+    case 'MultiPolygon':
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        throw new Error('Invalid MultiPolygon: expected an array of polygons');
+      }
+      coordinates.forEach(polygon => validateGeometry({ type: 'Polygon', coordinates: polygon }));
+      break;
+    default:
+      throw new Error(`Unsupported geometry type "${type}"`);
+  }
+
+  return geometry;
+};
+
+/**
+ * Accept a GeoJSON Polygon/MultiPolygon, an array of rings or a single ring
+ * @param {Object|Array} polygon - Polygon input
+ * @returns {Object} - Validated GeoJSON geometry
+ */
+const toPolygon = (polygon) => {
+  if (!Array.isArray(polygon)) {
+    return validateGeometry(polygon);
+  }
+
+  // A single ring is an array of positions; a polygon is an array of rings
+  const rings = Array.isArray(polygon[0]) && isNumber(polygon[0][0]) ? [polygon] : polygon;
+  return validateGeometry({ type: 'Polygon', coordinates: rings });
+};
+
+/**
+ * Turn a [minLongitude, minLatitude, maxLongitude, maxLatitude] bounding box
+ * into a Polygon (2dsphere indexes don't support $box)
+ * @param {Array<number>} box - GeoJSON-ordered bounding box
+ * @returns {Object} - GeoJSON Polygon
+ */
+const boxToPolygon = (box) => {
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(isNumber)) {
+    throw new Error('Invalid box: expected [minLongitude, minLatitude, maxLongitude, maxLatitude]');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = box;
+  validatePosition([minLng, minLat], 'box');
+  validatePosition([maxLng, maxLat], 'box');
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new Error('Invalid box: minimum corner must be south-west of the maximum corner');
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+/**
+ * Validate a { center, radius } circle (radius in meters)
+ */
+const validateCircle = (circle) => {
+  if (!circle || typeof circle !== 'object') {
+    throw new Error('Invalid circle: expected { center, radius }');
+  }
+  validatePosition(circle.center, 'circle center');
+  if (!isNumber(circle.radius) || circle.radius <= 0) {
+    throw new Error('Invalid circle: radius must be a positive number of meters');
+  }
+  return circle;
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  validatePosition,
+  validateGeometry,
+  validateCircle,
+  toPolygon,
+  boxToPolygon
+};
@@ -0,0 +1,164 @@
+const { getPath } = require('./documentPaths');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const VOWEL = /[aeiouy]/;
+
+const fold = (word) => word
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Light English stemmer (Porter step 1), so "running" matches "run" and
+ * "searches" matches "search". Good enough to highlight what $text matched.
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+const stem = (word) => {
+  if (word.length <= 3) return word;
+
+  let result = word;
+  if (result.endsWith('sses')) result = result.slice(0, -2);
+  else if (result.endsWith('ies')) result = `${result.slice(0, -3)}y`;
+  else if (result.endsWith('es') && /(ch|sh|x|z)es$/.test(result)) result = result.slice(0, -2);
+  else if (!result.endsWith('ss') && result.endsWith('s')) result = result.slice(0, -1);
+
+  const suffix = ['ing', 'ed'].find(end => result.endsWith(end));
+  if (suffix && VOWEL.test(result.slice(0, -suffix.length))) {
+    result = result.slice(0, -suffix.length);
+    if (/([^aeioulsz])\1$/.test(result)) result = result.slice(0, -1);
+  }
+
+  return result;
+};
+
+/**
+ * Words of a $text search string, including those inside phrases but
+ * skipping negated terms and phrases
+ * @param {string} searchText - $text search string
+ * @returns {Array<string>} - Folded terms
+ */
+const extractTerms = (searchText = '') => {
+  const terms = new Set();
+  // Quoted phrases and bare words, each optionally negated
+  const tokens = String(searchText).match(/-?"[^"]*"|\S+/g) || [];
+
+  tokens
+    .filter(token => !token.startsWith('-'))
+    .forEach(token => {
+      (token.match(WORD_PATTERN) || []).forEach(word => terms.add(fold(word)));
+    });
+
+  return [...terms];
+};
+
+/**
+ * Word offsets in `text` matching any term or its stem
+ */
+const findMatches = (text, terms) => {
+  const stems = new Set(terms.map(stem));
+  const matches = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = fold(match[0]);
+    if (terms.includes(word) || stems.has(stem(word))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Widen a window to whole words so fragments don't cut words in half
+ */
+const snapToWords = (text, start, end) => {
+  let from = start;
+  let to = end;
+  while (from > 0 && /\S/.test(text[from - 1])) from--;
+  while (to < text.length && /\S/.test(text[to])) to++;
+  return { start: from, end: to };
+};
+
+/**
+ * Highlight matched terms in a string
+ * @param {string} text - Field value
+ * @param {Array<string>} terms - Terms from extractTerms
+ * @param {Object} options - { preTag, postTag, fragmentSize, maxFragments }
+ * @returns {Array<string>} - Fragments with matches wrapped in the tags (empty when nothing matched)
+ */
+const highlightText = (text, terms, {
+  preTag = '<em>',
+  postTag = '</em>',
+  fragmentSize = 100,
+  maxFragments = 3
+} = {}) => {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return [];
+
+  // A fragmentSize of 0 returns the whole value as one fragment
+  const windows = fragmentSize > 0
+    ? matches.reduce((acc, match) => {
+      const padding = Math.max(0, Math.floor((fragmentSize - (match.end - match.start)) / 2));
+      const window = snapToWords(text, Math.max(0, match.start - padding), Math.min(text.length, match.end + padding));
+      const previous = acc[acc.length - 1];
+      if (previous && window.start <= previous.end) {
+        previous.end = Math.max(previous.end, window.end);
+      } else {
+        acc.push(window);
+      }
+      return acc;
+    }, [])
+    : [{ start: 0, end: text.length }];
+
+  return windows.slice(0, maxFragments).map(({ start, end }) => {
+    let fragment = '';
+    let position = start;
+    matches
+      .filter(match => match.start >= start && match.end <= end)
+      .forEach(match => {
+        fragment += text.slice(position, match.start) + preTag + text.slice(match.start, match.end) + postTag;
+        position = match.end;
+      });
+    return (fragment + text.slice(position, end)).trim();
+  });
+};
+
+/**
+ * Highlighted fragments for each field of a document
+ * @param {Object} doc - Plain document
+ * @param {Array<string>} terms - Terms from extractTerms
+ * @param {Object} options - { fields, preTag, postTag, fragmentSize, maxFragments }
+ * @returns {Object} - { field: [fragments] } for fields with a match
+ */
+const highlightDocument = (doc, terms, { fields = [], ...options } = {}) => fields
+  .reduce((acc, field) => {
+    const value = getPath(doc, field);
+    const values = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+    const fragments = values.flatMap(item => highlightText(item, terms, options));
+
+    if (fragments.length > 0) {
+      acc[field] = fragments.slice(0, options.maxFragments || 3);
+    }
+    return acc;
+  }, {});
+
+/**
+ * Attach a `highlights` map to each hit
+ * @param {Array} docs - Plain documents
+ * @param {string} searchText - Search string
+ * @param {Object} options - Highlight options
+ * @returns {Array} - Documents with `highlights`
+ */
+const applyHighlights = (docs, searchText, options) => {
+  const terms = extractTerms(searchText);
+  return docs.map(doc => ({ ...doc, highlights: highlightDocument(doc, terms, options) }));
+};
+
+module.exports = {
+  stem,
+  extractTerms,
+  highlightText,
+  highlightDocument,
+  applyHighlights
+};
@@ -1,15 +1,30 @@
 const mongoose = require('mongoose');
 const CrudManager = require('./core/CrudManager');
+const CacheManager = require('./core/CacheManager');
 const SearchManager = require('./core/SearchManager');
 const TransactionManager = require('./core/TransactionManager');
 const PopulationManager = require('./core/PopulationManager');
 const PaginationManager = require('./core/PaginationManager');
-const { QueryBuilder, LargeDatasetQueryBuilder } = require('./builders/queryBuilder');
+const ChangeStreamInvalidator = require('./core/ChangeStreamInvalidator');
+const GlobalSearch = require('./core/GlobalSearch');
+const {
+  QueryBuilder,
+  LargeDatasetQueryBuilder,
+  validateScopes,
+  parseQueryString
+} = require('./builders/queryBuilder');
+const { AggregateBuilder } = require('./builders/aggregateBuilder');
 const SoftDeleteManager = require('./operations/softDelete');
 const VersioningManager = require('./operations/versioning');
+const { FuzzySearchManager, fuzzySearchPlugin } = require('./operations/fuzzySearch');
+const { AutocompleteManager, autocompletePlugin } = require('./operations/autocomplete');
+const SynonymManager = require('./operations/synonyms');
+const CheckpointManager = require('./operations/checkpoints');
+const { SearchIndexManager, searchableTextPlugin, normalizeWeights } = require('./operations/searchIndex');
 const DataExportManager = require('./utils/dataExport');
 const SchemaValidator = require('./utils/schemaValidator');
 const MigrationManager = require('./utils/dataMigration');
+const paginationLinks = require('./utils/paginationLinks');
 
 class EasyMongo {
   constructor(config) {
@@ -18,19 +33,70 @@ class EasyMongo {
     // Create the schema
     const schema = new mongoose.Schema(model.schema, model.options);
     
-    // Create indexes
-    schema.index({ searchableText: 'text' });
-    schema.index({ 'location.coordinates': '2dsphere' });
+    const searchConfig = features.search || {};
+
+    // Named query scopes, callable on every query builder
+    validateScopes(model.scopes, model.defaultScopes);
+    this.scopes = model.scopes || {};
+    this.defaultScopes = model.defaultScopes || [];
+
+    // Create indexes (with source fields, the plugin creates the weighted text index instead;
+    // a collection can only have one)
+    if (!searchConfig.fields) {
+      schema.index({ [searchConfig.textField || 'searchableText']: 'text' });
+    }
+    schema.index({ [searchConfig.geoField || 'location.coordinates']: '2dsphere' });
+
+    if (searchConfig.fields) {
+      schema.plugin(searchableTextPlugin, searchConfig);
+    }
+    if (searchConfig.fuzzy) {
+      schema.plugin(fuzzySearchPlugin, searchConfig.fuzzy);
+    }
+    if (searchConfig.autocomplete) {
+      schema.plugin(autocompletePlugin, searchConfig.autocomplete);
+    }
     
     // Create the model
     this.Model = mongoose.model(model.name, schema);
     
-    // Initialize managers
-    this.crud = new CrudManager(this.Model, features);
-    this.searchManager = new SearchManager(this.Model, features);
+    // Initialize managers (sharing one cache so writes invalidate every cached read)
+    this.cacheManager = new CacheManager(this.Model.modelName, features);
+    this.synonyms = new SynonymManager(searchConfig.synonyms || {});
+    this.crud = new CrudManager(this.Model, features, this.cacheManager);
+    this.searchManager = new SearchManager(this.Model, features, this.cacheManager, this.synonyms);
     this.transaction = new TransactionManager(this.Model, features);
     this.population = new PopulationManager(this.Model, features);
-    this.paginationManager = new PaginationManager(this.Model, features);
+    this.paginationManager = new PaginationManager(this.Model, features, this.cacheManager);
+    this.checkpoints = new CheckpointManager(this.Model, features.largeDataset || {});
+
+    if (searchConfig.fields) {
+      this.searchIndex = new SearchIndexManager(this.Model, searchConfig);
+      this.crud.addDerivedField(
+        this.searchIndex.textField,
+        Object.keys(normalizeWeights(searchConfig.fields))
+      );
+    }
+    if (searchConfig.fuzzy) {
+      this.fuzzySearchManager = new FuzzySearchManager(
+        this.Model,
+        searchConfig.fuzzy,
+        this.cacheManager,
+        this.synonyms
+      );
+    }
+    if (searchConfig.autocomplete) {
+      this.autocompleteManager = new AutocompleteManager(this.Model, searchConfig.autocomplete, this.cacheManager);
+    }
+
+    // Evict cache entries for writes made by other processes (requires a replica set)
+    if (features.enableCache && features.cache && features.cache.watchChanges) {
+      this.cacheInvalidator = new ChangeStreamInvalidator(
+        this.transaction,
+        this.crud,
+        features.cache.changeStream || {}
+      );
+    }
     
     // Initialize new feature managers
     if (features.enableSoftDelete) {
@@ -66,21 +132,56 @@ class EasyMongo {
     });
 
     // Ensure indexes are created
+    if (this.searchIndex) {
+      await this.searchIndex.dropLegacyTextIndex();
+    }
     await this.Model.createIndexes();
+
+    if (this.synonyms.SynonymModel) {
+      await this.synonyms.load();
+      this.synonyms.startReloading();
+    }
+
+    if (this.cacheInvalidator) {
+      this.cacheInvalidator.start();
+    }
     return this;
   }
 
   async disconnect() {
+    this.synonyms.stop();
+    if (this.cacheInvalidator) {
+      await this.cacheInvalidator.stop();
+    }
+    await this.cacheManager.close();
     return mongoose.disconnect();
   }
 
   // Query Builder Methods
   query() {
-    return new QueryBuilder(this.Model);
+    return new QueryBuilder(this.Model, this.cacheManager, {
+      crud: this.crud,
+      versioning: this.versioning,
+      pagination: this.paginationManager,
+      scopes: this.scopes,
+      defaultScopes: this.defaultScopes
+    });
   }
 
   largeDataset() {
-    return new LargeDatasetQueryBuilder(this.Model);
+    return new LargeDatasetQueryBuilder(this.Model, {
+      scopes: this.scopes,
+      defaultScopes: this.defaultScopes,
+      checkpoints: this.checkpoints
+    });
+  }
+
+  aggregateBuilder() {
+    return new AggregateBuilder(this.Model, this.cacheManager, {
+      pagination: this.paginationManager,
+      scopes: this.scopes,
+      defaultScopes: this.defaultScopes
+    });
   }
 
   // Proxy CRUD methods
@@ -208,10 +309,63 @@ class EasyMongo {
     return this.searchManager.searchNearby(options);
   }
 
+  async searchWithin(options) {
+    return this.searchManager.searchWithin(options);
+  }
+
   async fuzzySearch(options) {
+    // Ranked trigram search when fuzzy fields are configured, regex matching otherwise
+    if (this.fuzzySearchManager) {
+      return this.fuzzySearchManager.search(options);
+    }
     return this.searchManager.fuzzySearch(options);
   }
 
+  async facetedSearch(options) {
+    return this.searchManager.facetedSearch(options);
+  }
+
+  async rebuildSearchIndex(options) {
+    if (!this.searchIndex) {
+      throw new Error('Search fields are not configured');
+    }
+    return this.searchIndex.reindex(options);
+  }
+
+  async rebuildFuzzyIndex(options) {
+    if (!this.fuzzySearchManager) {
+      throw new Error('Fuzzy search is not configured');
+    }
+    return this.fuzzySearchManager.reindex(options);
+  }
+
+  // Synonym Methods
+  async addSynonyms(terms) {
+    return this.synonyms.addGroup(terms);
+  }
+
+  async removeSynonyms(terms) {
+    return this.synonyms.removeGroup(terms);
+  }
+
+  getSynonyms() {
+    return this.synonyms.getGroups();
+  }
+
+  async autocomplete(options) {
+    if (!this.autocompleteManager) {
+      throw new Error('Autocomplete is not configured');
+    }
+    return this.autocompleteManager.suggest(options);
+  }
+
+  async rebuildAutocompleteIndex(options) {
+    if (!this.autocompleteManager) {
+      throw new Error('Autocomplete is not configured');
+    }
+    return this.autocompleteManager.reindex(options);
+  }
+
   // Proxy Transaction methods
   async withTransaction(callback) {
     return this.transaction.withTransaction(callback);
@@ -251,6 +405,14 @@ class EasyMongo {
     return this.paginationManager.paginateAggregate(pipeline, options);
   }
 
+  async paginateCursor(query, options) {
+    return this.paginationManager.paginateCursor(query, options);
+  }
+
+  async paginateCursorAggregate(pipeline, options) {
+    return this.paginationManager.paginateCursorAggregate(pipeline, options);
+  }
+
   // Soft Delete methods (if enabled)
   async softDeleteById(id) {
     if (!this.softDelete) {
@@ -405,11 +567,19 @@ class EasyMongo {
 
   // Cache Management
   async clearCache(key) {
-    await this.crud.cacheManager.clear(key);
+    await this.cacheManager.clear(key);
   }
 
   async clearAllCache() {
-    await this.crud.cacheManager.clear();
+    await this.cacheManager.clear();
+  }
+
+  async invalidateCache(tags) {
+    await this.cacheManager.invalidate(Array.isArray(tags) ? tags : [tags]);
+  }
+
+  async getCacheStats() {
+    return this.cacheManager.getStats();
   }
 
   // Performance Monitoring
@@ -438,15 +608,25 @@ const activeUsers = await userDb
   .execute();
 
 // Using Large Dataset Query Builder with streaming
-const userStream = await userDb
+const userStream = userDb
   .largeDataset()
   .where({ age: { $gt: 18 } })
-  .stream()
   .setBatchSize(1000)
-  .execute();
+  .stream();
+
+// Or in batches, resuming from the last checkpoint after a failure
+await userDb
+  .largeDataset()
+  .where({ age: { $gt: 18 } })
+  .eachBatch(async (users) => { ... }, { batchSize: 500, checkpoint: 'adults-backfill' });
 
 // Get performance stats
 const stats = userDb.getPerformanceStats();
 */
 
-module.exports = { EasyMongo }; 
\ No newline at end of file
+module.exports = {
+  EasyMongo,
+  GlobalSearch,
+  parseQueryString,
+  ...paginationLinks
+}; 
\ No newline at end of file
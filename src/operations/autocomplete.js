@@ -0,0 +1,212 @@
+/**
+ * Autocomplete for Easy-Mongo
+ * Stores edge n-grams for configured fields so search-as-you-type queries
+ * are exact index lookups, and ranks whole-value prefix matches first
+ */
+
+const { getPath, setPath } = require('../helpers/documentPaths');
+const { syncDerivedFields } = require('../helpers/derivedFields');
+const { pipelineTags } = require('../helpers/cacheTags');
+const { backfillDocuments } = require('../helpers/backfill');
+const { normalizeText } = require('./fuzzySearch');
+
+// Marks prefixes of the whole value, as opposed to prefixes starting mid-value
+const START_MARKER = '^';
+
+/**
+ * Edge n-grams starting at every word of the value. Those starting at the
+ * first word are also stored with START_MARKER so exact prefixes can be told apart.
+ * @param {*} value - Field value
+ * @param {number} maxLength - Longest prefix stored
+ * @returns {Array<string>} - Unique prefixes
+ */
+const edgeNgrams = (value, maxLength = 20) => {
+  const text = normalizeText(value);
+  const prefixes = new Set();
+  if (!text) return [];
+
+  let start = 0;
+  text.split(' ').forEach((word, index) => {
+    const rest = text.slice(start, start + maxLength);
+    for (let length = 1; length <= rest.length; length++) {
+      const prefix = rest.slice(0, length);
+      if (prefix.endsWith(' ')) continue;
+      prefixes.add(prefix);
+      if (index === 0) prefixes.add(`${START_MARKER}${prefix}`);
+    }
+    start += word.length + 1;
+  });
+
+  return [...prefixes];
+};
+
+const prefixPath = (prefixField, field) => `${prefixField}.${field.replace(/\./g, '_')}`;
+
+/**
+ * Mongoose plugin that stores and maintains edge n-grams for autocomplete fields
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {Array<string>} options.fields - Fields to index
+ * @param {string} options.prefixField - Field holding the prefixes
+ * @param {number} options.maxLength - Longest prefix stored
+ */
+const autocompletePlugin = (schema, {
+  fields = [],
+  prefixField = 'autocompletePrefixes',
+  maxLength = 20
+} = {}) => {
+  const build = value => edgeNgrams(value, maxLength);
+
+  schema.add({
+    [prefixField]: fields.reduce((acc, field) => {
+      acc[field.replace(/\./g, '_')] = { type: [String], select: false };
+      return acc;
+    }, {})
+  });
+  fields.forEach(field => schema.index({ [prefixPath(prefixField, field)]: 1 }));
+
+  schema.pre('save', function (next) {
+    fields.forEach(field => {
+      if (this.isNew || this.isModified(field)) {
+        this.set(prefixPath(prefixField, field), build(this.get(field)));
+      }
+    });
+    next();
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+      fields.forEach(field => setPath(doc, prefixPath(prefixField, field), build(getPath(doc, field))));
+    });
+    next();
+  });
+
+  syncDerivedFields(schema, {
+    fields,
+    pathOf: field => prefixPath(prefixField, field),
+    compute: build
+  });
+};
+
+class AutocompleteManager {
+  /**
+   * @param {Object} model - Mongoose model (its schema must use autocompletePlugin)
+   * @param {Object} options - Autocomplete options
+   * @param {Array<string>} options.fields - Indexed fields
+   * @param {string} options.prefixField - Field holding the prefixes
+   * @param {number} options.maxLength - Longest prefix stored
+   * @param {string} options.popularityField - Numeric field that boosts suggestions
+   * @param {number} options.popularityWeight - Weight of the popularity boost
+   * @param {Object} cacheManager - Optional shared CacheManager
+   */
+  constructor(model, options = {}, cacheManager = null) {
+    this.Model = model;
+    this.options = options;
+    this.fields = options.fields || [];
+    this.prefixField = options.prefixField || 'autocompletePrefixes';
+    this.maxLength = options.maxLength || 20;
+    this.popularityField = options.popularityField;
+    this.popularityWeight = options.popularityWeight !== undefined ? options.popularityWeight : 1;
+    this.cacheManager = cacheManager;
+  }
+
+  /**
+   * Suggestions for a prefix. Values starting with the prefix come first,
+   * followed by values with a later word starting with it; within each group
+   * suggestions are ordered by popularity, then by length.
+   * @param {Object} options - Autocomplete options
+   * @param {string} options.field - Indexed field to complete (defaults to the first one)
+   * @param {string} options.prefix - Text typed so far
+   * @param {number} options.limit - Maximum suggestions
+   * @param {Object} options.filter - Extra MongoDB filter
+   * @param {number} options.popularityWeight - Override the configured weight
+   * @returns {Promise<Array>} - [{ _id, value, score }], best first
+   */
+  async suggest({
+    field = this.fields[0],
+    prefix,
+    limit = 10,
+    filter = {},
+    popularityWeight = this.popularityWeight,
+    cache
+  } = {}) {
+    if (!this.fields.includes(field)) {
+      throw new Error(`Field is not configured for autocomplete: ${field}`);
+    }
+
+    const normalized = normalizeText(prefix).slice(0, this.maxLength).trim();
+    if (!normalized) return [];
+
+    const run = async () => {
+      const suggestions = await this.Model.aggregate(
+        this._suggestPipeline(field, normalized, filter, limit, popularityWeight)
+      );
+      return suggestions.map(({ _id, value, score }) => ({ _id, value, score }));
+    };
+
+    if (!this.cacheManager) {
+      return run();
+    }
+
+    return this.cacheManager.readQuery(cache, {
+      namespace: 'autocomplete',
+      descriptor: { field, prefix: normalized, limit, filter, popularityWeight },
+      tags: pipelineTags()
+    }, run);
+  }
+
+  /**
+   * Backfill prefixes for documents written before the fields were indexed
+   * @param {Object} options - Reindex options
+   * @param {Object} options.filter - Limit the reindex to matching documents
+   * @param {number} options.batchSize - Documents per bulk write
+   * @returns {Promise<Object>} - Number of documents updated
+   */
+  async reindex({ filter = {}, batchSize = 1000 } = {}) {
+    const projection = this.fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+
+    return backfillDocuments(this.Model, { filter, projection, batchSize }, doc => (
+      this.fields.reduce((acc, field) => ({
+        ...acc,
+        [prefixPath(this.prefixField, field)]: edgeNgrams(getPath(doc, field), this.maxLength)
+      }), {})
+    ));
+  }
+
+  /**
+   * Match through the prefix index and rank in the database so the limit keeps the best suggestions
+   * @private
+   */
+  _suggestPipeline(field, prefix, filter, limit, popularityWeight) {
+    const path = prefixPath(this.prefixField, field);
+    const startPrefix = `${START_MARKER}${prefix}`;
+    const popularity = this.popularityField && popularityWeight
+      ? { $multiply: [popularityWeight, { $ln: { $add: [1, { $max: [0, { $ifNull: [`$${this.popularityField}`, 0] }] }] } }] }
+      : 0;
+
+    return [
+      { $match: { $and: [filter, { [path]: prefix }] } },
+      {
+        $addFields: {
+          _exactPrefix: { $cond: [{ $in: [startPrefix, { $ifNull: [`$${path}`, []] }] }, 1, 0] },
+          _popularity: popularity,
+          _length: { $strLenCP: { $convert: { input: `$${field}`, to: 'string', onError: '', onNull: '' } } }
+        }
+      },
+      { $sort: { _exactPrefix: -1, _popularity: -1, _length: 1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          value: `$${field}`,
+          score: { $add: ['$_exactPrefix', '$_popularity'] }
+        }
+      }
+    ];
+  }
+}
+
+module.exports = {
+  AutocompleteManager,
+  autocompletePlugin,
+  edgeNgrams
+};
@@ -0,0 +1,81 @@
+/**
+ * Checkpoints for resumable batch runs in Easy-Mongo
+ * Stores the last processed _id of a named run so it can continue after a crash
+ */
+
+class CheckpointManager {
+  /**
+   * @param {Object} model - Mongoose model the runs iterate over
+   * @param {Object} options - Checkpoint options
+   * @param {string} options.checkpointCollectionName - Model name for stored checkpoints
+   */
+  constructor(model, options = {}) {
+    this.Model = model;
+    this.options = options;
+    this.modelName = this.Model.modelName;
+    this.checkpointCollectionName = options.checkpointCollectionName || `${this.modelName}Checkpoint`;
+  }
+
+  /**
+   * Create the checkpoint model on first use, so instances that never
+   * run a resumable job don't register one
+   * @private
+   */
+  _getCheckpointModel() {
+    if (this.CheckpointModel) {
+      return this.CheckpointModel;
+    }
+
+    const mongoose = require('mongoose');
+
+    if (mongoose.models[this.checkpointCollectionName]) {
+      this.CheckpointModel = mongoose.model(this.checkpointCollectionName);
+      return this.CheckpointModel;
+    }
+
+    const checkpointSchema = new mongoose.Schema({
+      name: { type: String, required: true },
+      model: { type: String, required: true },
+      lastId: { type: mongoose.Schema.Types.Mixed, required: true },
+      processed: { type: Number, default: 0 },
+      updatedAt: { type: Date, default: Date.now }
+    });
+
+    checkpointSchema.index({ name: 1, model: 1 }, { unique: true });
+
+    this.CheckpointModel = mongoose.model(this.checkpointCollectionName, checkpointSchema);
+    return this.CheckpointModel;
+  }
+
+  /**
+   * @param {string} name - Run name
+   * @returns {Promise<Object|null>} - { lastId, processed } or null when the run hasn't started
+   */
+  async load(name) {
+    return this._getCheckpointModel()
+      .findOne({ name, model: this.modelName })
+      .lean();
+  }
+
+  /**
+   * @param {string} name - Run name
+   * @param {Object} progress - { lastId, processed }
+   */
+  async save(name, { lastId, processed }) {
+    await this._getCheckpointModel().updateOne(
+      { name, model: this.modelName },
+      { $set: { lastId, processed, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Forget a run, so the next one with this name starts from the beginning
+   * @param {string} name - Run name
+   */
+  async clear(name) {
+    await this._getCheckpointModel().deleteOne({ name, model: this.modelName });
+  }
+}
+
+module.exports = CheckpointManager;
@@ -0,0 +1,297 @@
+/**
+ * Fuzzy search for Easy-Mongo
+ * Stores trigram tokens for configured fields, narrows candidates through a
+ * multikey index on those tokens and ranks them by edit-distance similarity
+ */
+
+const { getPath, setPath } = require('../helpers/documentPaths');
+const { syncDerivedFields } = require('../helpers/derivedFields');
+const { pipelineTags } = require('../helpers/cacheTags');
+const { backfillDocuments } = require('../helpers/backfill');
+
+/**
+ * Lowercase, strip diacritics and collapse everything but letters and digits
+ * @param {*} value - Text (arrays are joined)
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * Trigrams of every word, padded so word boundaries produce their own grams
+ * @param {*} value - Text to tokenize
+ * @returns {Array<string>} - Unique trigrams
+ */
+const trigrams = (value) => {
+  const grams = new Set();
+
+  normalizeText(value).split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+
+  return [...grams];
+};
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), so a
+ * transposition such as "jhon" -> "john" costs one edit
+ */
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current[j] = distance;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const stringSimilarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 0 : 1 - (editDistance(a, b) / length);
+};
+
+/**
+ * Similarity between a query and a field value, from 0 to 1. Compares the
+ * whole strings as well as each query word against its closest word in the value.
+ */
+const similarity = (query, value) => {
+  const normalizedQuery = normalizeText(query);
+  const normalizedValue = normalizeText(value);
+  if (!normalizedQuery || !normalizedValue) return 0;
+
+  const valueWords = normalizedValue.split(' ');
+  const queryWords = normalizedQuery.split(' ');
+  const wordScore = queryWords.reduce((sum, queryWord) => (
+    sum + Math.max(...valueWords.map(valueWord => stringSimilarity(queryWord, valueWord)))
+  ), 0) / queryWords.length;
+
+  return Math.max(stringSimilarity(normalizedQuery, normalizedValue), wordScore);
+};
+
+const tokenPath = (tokenField, field) => `${tokenField}.${field.replace(/\./g, '_')}`;
+
+/**
+ * Mongoose plugin that stores and maintains trigram tokens for fuzzy fields
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {Array<string>} options.fields - Fields to index
+ * @param {string} options.tokenField - Field holding the tokens
+ */
+const fuzzySearchPlugin = (schema, { fields = [], tokenField = 'fuzzyTokens' } = {}) => {
+  schema.add({
+    [tokenField]: fields.reduce((acc, field) => {
+      acc[field.replace(/\./g, '_')] = { type: [String], select: false };
+      return acc;
+    }, {})
+  });
+  fields.forEach(field => schema.index({ [tokenPath(tokenField, field)]: 1 }));
+
+  schema.pre('save', function (next) {
+    fields.forEach(field => {
+      if (this.isNew || this.isModified(field)) {
+        this.set(tokenPath(tokenField, field), trigrams(this.get(field)));
+      }
+    });
+    next();
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+      fields.forEach(field => setPath(doc, tokenPath(tokenField, field), trigrams(getPath(doc, field))));
+    });
+    next();
+  });
+
+  syncDerivedFields(schema, {
+    fields,
+    pathOf: field => tokenPath(tokenField, field),
+    compute: trigrams
+  });
+};
+
+class FuzzySearchManager {
+  /**
+   * @param {Object} model - Mongoose model (its schema must use fuzzySearchPlugin)
+   * @param {Object} options - Fuzzy search options
+   * @param {Array<string>} options.fields - Indexed fields
+   * @param {string} options.tokenField - Field holding the tokens
+   * @param {number} options.minScore - Minimum similarity for a hit (0-1)
+   * @param {number} options.candidateLimit - Candidates fetched before ranking
+   * @param {Object} cacheManager - Optional shared CacheManager
+   * @param {Object} synonyms - Optional SynonymManager used to expand queries
+   */
+  constructor(model, options = {}, cacheManager = null, synonyms = null) {
+    this.Model = model;
+    this.options = options;
+    this.fields = options.fields || [];
+    this.tokenField = options.tokenField || 'fuzzyTokens';
+    this.minScore = options.minScore !== undefined ? options.minScore : 0.3;
+    this.candidateLimit = options.candidateLimit || 500;
+    this.cacheManager = cacheManager;
+    this.synonyms = synonyms;
+  }
+
+  /**
+   * Search indexed fields, ranked by similarity
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text
+   * @param {Array<string>} options.fields - Subset of the indexed fields to search
+   * @param {Object} options.filter - Extra MongoDB filter
+   * @param {number} options.limit - Maximum hits
+   * @param {number} options.skip - Hits to skip
+   * @param {number} options.minScore - Minimum similarity for a hit (0-1)
+   * @param {number} options.candidateLimit - Candidates ranked for this search (caps the hits)
+   * @returns {Promise<Array>} - Plain documents with a `score` property, best first
+   */
+  async search({
+    query,
+    field,
+    fields = field ? [field] : this.fields,
+    filter = {},
+    limit = 10,
+    skip = 0,
+    minScore = this.minScore,
+    candidateLimit = this.candidateLimit,
+    cache
+  } = {}) {
+    if (!query) {
+      throw new Error('Fuzzy search query is required');
+    }
+
+    const unknown = fields.filter(name => !this.fields.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Fields are not fuzzy indexed: ${unknown.join(', ')}`);
+    }
+
+    // Synonym variants are matched together; each hit scores by its closest variant
+    const queries = this.synonyms ? this.synonyms.variants(query) : [query];
+
+    const run = async () => {
+      const candidates = await this.Model.aggregate(this._candidatePipeline(queries, fields, filter, candidateLimit));
+      return rankCandidates(candidates, { query: queries, fields, minScore }).slice(skip, skip + limit);
+    };
+
+    if (!this.cacheManager) {
+      return run();
+    }
+
+    return this.cacheManager.readQuery(cache, {
+      namespace: 'fuzzy',
+      descriptor: { queries, fields, filter, limit, skip, minScore, candidateLimit },
+      tags: pipelineTags()
+    }, run);
+  }
+
+  /**
+   * Backfill tokens for documents written before the fields were indexed
+   * @param {Object} options - Reindex options
+   * @param {Object} options.filter - Limit the reindex to matching documents
+   * @param {number} options.batchSize - Documents per bulk write
+   * @returns {Promise<Object>} - Number of documents updated
+   */
+  async reindex({ filter = {}, batchSize = 1000 } = {}) {
+    const projection = this.fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+
+    return backfillDocuments(this.Model, { filter, projection, batchSize }, doc => (
+      this.fields.reduce((acc, field) => ({
+        ...acc,
+        [tokenPath(this.tokenField, field)]: trigrams(getPath(doc, field))
+      }), {})
+    ));
+  }
+
+  /**
+   * Narrow candidates through the token index and pre-rank them by
+   * trigram overlap so the best candidates survive the limit
+   * @private
+   */
+  _candidatePipeline(queries, fields, filter, candidateLimit = this.candidateLimit) {
+    const grams = [...new Set(queries.flatMap(trigrams))];
+    const paths = fields.map(field => tokenPath(this.tokenField, field));
+
+    return [
+      {
+        $match: {
+          $and: [
+            filter,
+            { $or: paths.map(path => ({ [path]: { $in: grams } })) }
+          ]
+        }
+      },
+      {
+        $addFields: {
+          _fuzzyOverlap: {
+            $max: paths.map(path => ({
+              $size: { $setIntersection: [{ $ifNull: [`$${path}`, []] }, grams] }
+            }))
+          }
+        }
+      },
+      { $sort: { _fuzzyOverlap: -1 } },
+      { $limit: candidateLimit },
+      { $project: { _fuzzyOverlap: 0, [this.tokenField]: 0 } }
+    ];
+  }
+}
+
+/**
+ * Score candidates against the query and drop those below minScore
+ * @param {Array} candidates - Plain documents
+ * @param {Object} options - { query, fields, minScore }; query may be a list of variants
+ * @returns {Array} - Documents with a `score` property, best first
+ */
+const rankCandidates = (candidates, { query, fields, minScore = 0 }) => {
+  const queries = Array.isArray(query) ? query : [query];
+
+  return candidates
+    .map(doc => ({
+      ...doc,
+      score: Math.max(0, ...fields.flatMap(field => (
+        queries.map(variant => similarity(variant, getPath(doc, field)))
+      )))
+    }))
+    .filter(doc => doc.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  FuzzySearchManager,
+  fuzzySearchPlugin,
+  rankCandidates,
+  normalizeText,
+  trigrams,
+  editDistance,
+  similarity
+};
@@ -1,5 +1,8 @@
 const { errorHandler } = require('../core/errors');
-const { buildTextSearch, buildGeoQuery } = require('../builders/queryBuilder');
+const { buildTextSearch, buildGeoNearStage, buildGeoWithinQuery, escapeRegex } = require('../builders/queryBuilder');
+const { normalizeFacets, buildFacetPipeline, formatFacetResult } = require('../builders/facetBuilder');
+const { applyHighlights } = require('../helpers/highlight');
+const { FuzzySearchManager, rankCandidates } = require('./fuzzySearch');
 
 const searchWithText = async (Model, {
   searchText,
@@ -7,17 +10,31 @@ const searchWithText = async (Model, {
   filter = {},
   sort = { score: { $meta: 'textScore' } },
   limit = 10,
-  skip = 0
+  skip = 0,
+  lean = false,
+  highlight,
+  synonyms
 }) => {
   try {
-    const textSearchQuery = buildTextSearch(searchText, fields);
+    const expandedText = synonyms ? synonyms.expandText(searchText) : searchText;
+    const textSearchQuery = buildTextSearch(expandedText, fields);
     const query = { ...textSearchQuery, ...filter };
 
-    return await Model.find(query)
+    const results = Model.find(query)
       .select({ score: { $meta: 'textScore' } })
       .sort(sort)
       .skip(skip)
       .limit(limit);
+
+    if (!highlight) {
+      return await (lean ? results.lean() : results);
+    }
+
+    // Highlighted hits are plain objects carrying a `highlights` map
+    return applyHighlights(await results.lean(), expandedText, {
+      fields,
+      ...highlight
+    });
   } catch (error) {
     console.error('Text search failed', error);
     throw error;
@@ -30,53 +47,88 @@ const searchNear = async (Model, {
   maxDistance,
   minDistance,
   filter = {},
+  distanceField = 'distance',
   limit = 10,
   skip = 0
 }) => {
   try {
-    const geoQuery = buildGeoQuery({
-      field,
-      coordinates,
-      maxDistance,
-      minDistance
-    });
+    const pipeline = [
+      buildGeoNearStage({
+        field,
+        coordinates,
+        maxDistance,
+        minDistance,
+        filter,
+        distanceField
+      }),
+      { $skip: skip }
+    ];
+    if (limit) pipeline.push({ $limit: limit });
 
-    const query = { ...geoQuery, ...filter };
-    return await Model.find(query)
-      .skip(skip)
-      .limit(limit);
+    return await Model.aggregate(pipeline);
   } catch (error) {
     console.error('Geo search failed', error);
     throw error;
   }
 };
 
+const searchWithin = async (Model, {
+  field,
+  polygon,
+  circle,
+  box,
+  geometry,
+  filter = {},
+  limit = 10,
+  skip = 0
+}) => {
+  try {
+    const geoQuery = buildGeoWithinQuery({ field, polygon, circle, box, geometry });
+    const query = Model.find({ ...filter, ...geoQuery }).skip(skip);
+
+    return await (limit ? query.limit(limit) : query);
+  } catch (error) {
+    console.error('Geo within search failed', error);
+    throw error;
+  }
+};
+
 const fuzzySearch = async (Model, {
   fields = [],
   searchTerm,
   filter = {},
   limit = 10,
-  skip = 0
+  skip = 0,
+  minScore = 0,
+  tokenField,
+  candidateLimit = 500,
+  synonyms
 }) => {
   try {
-    const fuzzyQuery = fields.reduce((acc, field) => {
-      acc[field] = {
-        $regex: searchTerm.split('').join('.*'),
-        $options: 'i'
-      };
-      return acc;
-    }, {});
+    // Models using fuzzySearchPlugin can narrow candidates through the token index
+    if (tokenField) {
+      return await new FuzzySearchManager(Model, { fields, tokenField, candidateLimit }, null, synonyms)
+        .search({ query: searchTerm, fields, filter, limit, skip, minScore });
+    }
+
+    const queries = synonyms ? synonyms.variants(searchTerm) : [searchTerm];
 
     const query = {
-      $or: Object.entries(fuzzyQuery).map(([field, value]) => ({
-        [field]: value
-      })),
+      $or: fields.flatMap(field => queries.map(variant => ({
+        [field]: {
+          $regex: variant.split('').map(escapeRegex).join('.*'),
+          $options: 'i'
+        }
+      }))),
       ...filter
     };
 
-    return await Model.find(query)
-      .skip(skip)
-      .limit(limit);
+    const candidates = await Model.find(query)
+      .limit(candidateLimit)
+      .lean();
+
+    return rankCandidates(candidates, { query: queries, fields, minScore })
+      .slice(skip, skip + limit);
   } catch (error) {
     console.error('Fuzzy search failed', error);
     throw error;
@@ -86,50 +138,26 @@ const fuzzySearch = async (Model, {
 const facetedSearch = async (Model, {
   searchText,
   facets = [],
+  selected = {},
   filter = {},
+  sort,
   limit = 10,
   skip = 0
 }) => {
   try {
-    const pipeline = [
-      { $match: { ...filter } }
-    ];
-
-    if (searchText) {
-      pipeline.unshift({
-        $match: buildTextSearch(searchText)
-      });
-    }
-
-    const facetStages = facets.reduce((acc, facet) => {
-      acc[facet] = [
-        { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ];
-      return acc;
-    }, {});
-
-    pipeline.push(
-      {
-        $facet: {
-          results: [
-            { $skip: skip },
-            { $limit: limit }
-          ],
-          facets: [
-            {
-              $facet: facetStages
-            }
-          ],
-          total: [
-            { $count: 'count' }
-          ]
-        }
-      }
-    );
+    const facetDefinitions = normalizeFacets(facets);
+    const pipeline = buildFacetPipeline({
+      textFilter: searchText ? buildTextSearch(searchText) : undefined,
+      filter,
+      facets: facetDefinitions,
+      selected,
+      sort,
+      skip,
+      limit
+    });
 
     const [result] = await Model.aggregate(pipeline);
-    return result;
+    return formatFacetResult(result, facetDefinitions);
   } catch (error) {
     console.error('Faceted search failed', error);
     throw error;
@@ -139,6 +167,7 @@ const facetedSearch = async (Model, {
 module.exports = {
   searchWithText: errorHandler(searchWithText),
   searchNear: errorHandler(searchNear),
+  searchWithin: errorHandler(searchWithin),
   fuzzySearch: errorHandler(fuzzySearch),
   facetedSearch: errorHandler(facetedSearch)
 }; 
\ No newline at end of file
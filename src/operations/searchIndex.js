@@ -0,0 +1,184 @@
+/**
+ * searchableText maintenance for Easy-Mongo
+ * Builds the text-indexed field from configured source fields and keeps it
+ * current as documents are created and updated
+ */
+
+const { getPath, setPath } = require('../helpers/documentPaths');
+const { syncDerivedFields } = require('../helpers/derivedFields');
+const { backfillDocuments } = require('../helpers/backfill');
+
+/**
+ * Normalize `fields` config to a { field: weight } map
+ * @param {Array<string>|Object} fields - Field names, or a map of field to weight
+ * @returns {Object} - Field to integer weight (at least 1), as the text index expects
+ */
+const normalizeWeights = (fields = []) => {
+  const entries = Array.isArray(fields)
+    ? fields.map(field => [field, 1])
+    : Object.entries(fields);
+
+  return entries.reduce((acc, [field, weight]) => {
+    acc[field] = Math.max(1, Math.round(Number(weight) || 1));
+    return acc;
+  }, {});
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(' ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+const textPath = (textField, field) => `${textField}.${field.replace(/\./g, '_')}`;
+
+// Distinct from the default `${textField}_text` name of a plain { [textField]: 'text' } index
+const textIndexName = textField => `${textField}_weighted_text`;
+
+/**
+ * Paths holding the searchable text of each source field
+ * @param {string} textField - Parent field
+ * @param {Array<string>|Object} fields - Source fields, optionally with weights
+ * @returns {Array<string>} - One path per source field
+ */
+const searchTextPaths = (textField, fields) => Object.keys(normalizeWeights(fields))
+  .map(field => textPath(textField, field));
+
+/**
+ * Build the searchable text for a document, one entry per source field so
+ * partial updates can refresh a single field
+ * @param {Object} doc - Plain object or mongoose document
+ * @param {Object} weights - Field to weight map
+ * @param {string} textField - Parent field
+ * @returns {Object} - { path: text } for every source field
+ */
+const buildSearchableText = (doc, weights, textField = 'searchableText') => Object.keys(weights)
+  .reduce((acc, field) => ({
+    ...acc,
+    [textPath(textField, field)]: toText(getPath(doc, field)).trim()
+  }), {});
+
+/**
+ * Mongoose plugin that stores each source field's text under `textField` and
+ * text-indexes those paths with the configured weights
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {Array<string>|Object} options.fields - Source fields, optionally with weights
+ * @param {string} options.textField - Field to maintain
+ */
+const searchableTextPlugin = (schema, { fields = [], textField = 'searchableText' } = {}) => {
+  const weights = normalizeWeights(fields);
+  const sourceFields = Object.keys(weights);
+
+  sourceFields.forEach(field => {
+    const path = textPath(textField, field);
+    if (!schema.path(path)) {
+      schema.add({ [path]: { type: String } });
+    }
+  });
+
+  const indexWeights = sourceFields.reduce((acc, field) => ({
+    ...acc,
+    [textPath(textField, field)]: weights[field]
+  }), {});
+  schema.index(
+    Object.keys(indexWeights).reduce((acc, path) => ({ ...acc, [path]: 'text' }), {}),
+    { weights: indexWeights, name: textIndexName(textField) }
+  );
+
+  schema.pre('save', function (next) {
+    sourceFields.forEach(field => {
+      if (this.isNew || this.isModified(field)) {
+        this.set(textPath(textField, field), toText(this.get(field)).trim());
+      }
+    });
+    next();
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+      Object.entries(buildSearchableText(doc, weights, textField)).forEach(([path, text]) => {
+        setPath(doc, path, text);
+      });
+    });
+    next();
+  });
+
+  // Set in the same write as the caller's update where possible, so it shares its session
+  syncDerivedFields(schema, {
+    fields: sourceFields,
+    pathOf: field => textPath(textField, field),
+    compute: value => toText(value).trim()
+  });
+};
+
+class SearchIndexManager {
+  /**
+   * @param {Object} model - Mongoose model (its schema must use searchableTextPlugin)
+   * @param {Object} options - Search options
+   * @param {Array<string>|Object} options.fields - Source fields, optionally with weights
+   * @param {string} options.textField - Field to maintain
+   */
+  constructor(model, options = {}) {
+    this.Model = model;
+    this.options = options;
+    this.weights = normalizeWeights(options.fields);
+    this.textField = options.textField || 'searchableText';
+    this.paths = searchTextPaths(this.textField, this.weights);
+    this.indexName = textIndexName(this.textField);
+  }
+
+  /**
+   * Drop the plain text index earlier versions created on textField, since a
+   * collection can only have one text index (call before createIndexes)
+   * @returns {Promise<boolean>} - Whether an index was dropped
+   */
+  async dropLegacyTextIndex() {
+    let indexes;
+    try {
+      indexes = await this.Model.collection.indexes();
+    } catch (error) {
+      // NamespaceNotFound: nothing to migrate in a new collection
+      if (error.code === 26) return false;
+      throw error;
+    }
+
+    const legacy = indexes.find(index => index.name === `${this.textField}_text`);
+    if (!legacy) return false;
+
+    await this.Model.collection.dropIndex(legacy.name);
+    return true;
+  }
+
+  /**
+   * Build the searchable text for a document
+   * @param {Object} doc - Document
+   * @returns {Object} - { path: text } for every source field
+   */
+  build(doc) {
+    return buildSearchableText(doc, this.weights, this.textField);
+  }
+
+  /**
+   * Backfill the text field for existing documents
+   * @param {Object} options - Reindex options
+   * @param {Object} options.filter - Limit the reindex to matching documents
+   * @param {number} options.batchSize - Documents per bulk write
+   * @returns {Promise<Object>} - Number of documents updated
+   */
+  async reindex({ filter = {}, batchSize = 1000 } = {}) {
+    const projection = Object.keys(this.weights).reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+
+    return backfillDocuments(this.Model, { filter, projection, batchSize }, doc => this.build(doc));
+  }
+}
+
+module.exports = {
+  SearchIndexManager,
+  searchableTextPlugin,
+  buildSearchableText,
+  searchTextPaths,
+  normalizeWeights
+};
@@ -0,0 +1,242 @@
+/**
+ * Synonyms and stop words for Easy-Mongo search
+ * Expands queries with synonym groups (from config and/or a collection)
+ * and drops custom stop words before searches run
+ */
+
+const MAX_VARIANTS = 10;
+
+const normalizeTerm = (term) => String(term).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// $text splits unquoted input on spaces, so multi-word terms are quoted when negated
+const quoteTerm = (term) => (term.includes(' ') ? `"${term}"` : term);
+
+class SynonymManager {
+  /**
+   * @param {Object} options - Synonym options
+   * @param {Array<Array<string>>} options.groups - Groups of interchangeable terms
+   * @param {Array<string>} options.stopWords - Words removed from queries
+   * @param {string} options.collection - Collection that stores groups added at runtime
+   * @param {number} options.reloadInterval - How often stored groups are reloaded, in ms (0 disables)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.configGroups = (options.groups || []).map(group => this._normalizeGroup(group));
+    this.storedGroups = [];
+    this.stopWords = new Set((options.stopWords || []).map(normalizeTerm));
+    this.reloadInterval = options.reloadInterval !== undefined ? options.reloadInterval : 60000;
+
+    if (options.collection) {
+      this._createSynonymModel(options.collection);
+    }
+    this._rebuild();
+  }
+
+  /**
+   * Create the model for stored synonym groups
+   * @private
+   */
+  _createSynonymModel(collectionName) {
+    const mongoose = require('mongoose');
+
+    if (mongoose.models[collectionName]) {
+      this.SynonymModel = mongoose.model(collectionName);
+      return;
+    }
+
+    const synonymSchema = new mongoose.Schema({
+      terms: { type: [String], required: true, index: true },
+      createdAt: { type: Date, default: Date.now }
+    });
+
+    this.SynonymModel = mongoose.model(collectionName, synonymSchema);
+  }
+
+  /**
+   * Load stored groups (call after connecting)
+   * @returns {Promise<Array>} - All groups
+   */
+  async load() {
+    if (this.SynonymModel) {
+      const stored = await this.SynonymModel.find({}).lean();
+      this.storedGroups = stored.map(({ terms }) => terms);
+      this._rebuild();
+    }
+    return this.getGroups();
+  }
+
+  /**
+   * Reload stored groups periodically, so groups added or removed by other
+   * processes are picked up (call after connecting)
+   */
+  startReloading() {
+    if (!this.SynonymModel || this.reloadInterval <= 0 || this.reloadTimer) {
+      return;
+    }
+
+    this.reloadTimer = setInterval(() => {
+      this.load().catch(error => console.error('Synonym reload failed:', error));
+    }, this.reloadInterval);
+    // Don't keep the process alive just to reload synonyms
+    if (this.reloadTimer.unref) this.reloadTimer.unref();
+  }
+
+  /**
+   * Stop reloading stored groups
+   */
+  stop() {
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+
+  /**
+   * Add a group of interchangeable terms
+   * @param {Array<string>} terms - At least two terms
+   * @returns {Promise<Array<string>>} - The normalized group
+   */
+  async addGroup(terms) {
+    const group = this._normalizeGroup(terms);
+
+    if (this.SynonymModel) {
+      await this.SynonymModel.create({ terms: group });
+    }
+    this.storedGroups.push(group);
+    this._rebuild();
+
+    return group;
+  }
+
+  /**
+   * Remove every group containing all of the given terms
+   * @param {Array<string>|string} terms - Terms identifying the groups
+   * @returns {Promise<number>} - Number of groups removed
+   */
+  async removeGroup(terms) {
+    const wanted = (Array.isArray(terms) ? terms : [terms]).map(normalizeTerm);
+    const matches = group => wanted.every(term => group.includes(term));
+
+    if (this.SynonymModel) {
+      await this.SynonymModel.deleteMany({ terms: { $all: wanted } });
+    }
+
+    const before = this.configGroups.length + this.storedGroups.length;
+    this.configGroups = this.configGroups.filter(group => !matches(group));
+    this.storedGroups = this.storedGroups.filter(group => !matches(group));
+    this._rebuild();
+
+    return before - this.configGroups.length - this.storedGroups.length;
+  }
+
+  /**
+   * @returns {Array<Array<string>>} - Configured and stored groups
+   */
+  getGroups() {
+    return [...this.configGroups, ...this.storedGroups];
+  }
+
+  /**
+   * Synonyms of a term (not including the term itself)
+   * @param {string} term - Word or phrase
+   * @returns {Array<string>} - Synonyms
+   */
+  synonymsOf(term) {
+    const normalized = normalizeTerm(term);
+    return [...(this.lookup.get(normalized) || [])].filter(synonym => synonym !== normalized);
+  }
+
+  /**
+   * Expand a $text search string: stop words are dropped and synonyms of each
+   * term are appended ($text ORs its terms). Quoted phrases are left as they
+   * are; negated terms also negate their synonyms.
+   * @param {string} text - $text search string
+   * @returns {string} - Expanded search string
+   */
+  expandText(text) {
+    if (!text || this.isEmpty()) return text;
+
+    const tokens = String(text).match(/-?"[^"]*"|\S+/g) || [];
+    const kept = tokens.filter(token => token.includes('"') || !this.stopWords.has(normalizeTerm(token.replace(/^-/, ''))));
+    if (kept.length === 0) return text;
+
+    const expanded = new Set(kept);
+    const add = (synonym, negated) => {
+      expanded.add(negated ? `-${quoteTerm(synonym)}` : synonym);
+    };
+
+    kept
+      .filter(token => !token.includes('"'))
+      .forEach(token => {
+        const negated = token.startsWith('-');
+        this.synonymsOf(token.replace(/^-/, '')).forEach(synonym => add(synonym, negated));
+      });
+
+    // Multi-word terms are looked up against the whole query
+    const query = ` ${normalizeTerm(kept.filter(token => !token.startsWith('-')).join(' ').replace(/"/g, ''))} `;
+    this.phrases
+      .filter(phrase => query.includes(` ${phrase} `))
+      .forEach(phrase => this.synonymsOf(phrase).forEach(synonym => add(synonym, false)));
+
+    return [...expanded].join(' ');
+  }
+
+  /**
+   * Alternative phrasings of a query for searches that can't OR terms
+   * (regex and fuzzy). The first entry is the query without stop words.
+   * @param {string} text - Query
+   * @returns {Array<string>} - Unique variants, at most MAX_VARIANTS
+   */
+  variants(text) {
+    if (!text || this.isEmpty()) return [text];
+
+    const words = String(text).trim().split(/\s+/);
+    const kept = words.filter(word => !this.stopWords.has(normalizeTerm(word)));
+    const base = kept.length > 0 ? kept.join(' ') : String(text);
+
+    const variants = new Set([base]);
+    const padded = ` ${normalizeTerm(base)} `;
+    [...this.lookup.keys()]
+      .filter(term => padded.includes(` ${term} `))
+      .forEach(term => {
+        this.synonymsOf(term).forEach(synonym => {
+          variants.add(padded.replace(` ${term} `, ` ${synonym} `).trim());
+        });
+      });
+
+    return [...variants].slice(0, MAX_VARIANTS);
+  }
+
+  isEmpty() {
+    return this.lookup.size === 0 && this.stopWords.size === 0;
+  }
+
+  /**
+   * @private
+   */
+  _normalizeGroup(terms) {
+    const group = [...new Set((terms || []).map(normalizeTerm).filter(Boolean))];
+    if (group.length < 2) {
+      throw new Error('A synonym group needs at least two terms');
+    }
+    return group;
+  }
+
+  /**
+   * Index every term to the union of the groups it belongs to
+   * @private
+   */
+  _rebuild() {
+    this.lookup = new Map();
+    this.getGroups().forEach(group => {
+      group.forEach(term => {
+        const synonyms = this.lookup.get(term) || new Set();
+        group.forEach(synonym => synonyms.add(synonym));
+        this.lookup.set(term, synonyms);
+      });
+    });
+    this.phrases = [...this.lookup.keys()].filter(term => term.includes(' '));
+  }
+}
+
+module.exports = SynonymManager;
@@ -1,32 +1,39 @@
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const { MemoryStore } = require('./cacheStore');
+
+const CACHE_TTL = 5 * 60; // 5 minutes, in seconds
 const MAX_CACHE_SIZE = 1000;
+const MAX_CACHE_BYTES = 50 * 1024 * 1024; // 50MB
+
+const cache = new MemoryStore({
+  maxEntries: MAX_CACHE_SIZE,
+  maxSize: MAX_CACHE_BYTES
+});
+let hits = 0;
+let misses = 0;
 
 const cacheRead = async (Model, filter = {}, projection = {}, options = {}) => {
-  const cacheKey = JSON.stringify({ filter, projection, options });
-  const cached = cache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  const cacheKey = JSON.stringify({ model: Model.modelName, filter, projection, options });
+  const cached = await cache.get(cacheKey);
+
+  if (cached !== undefined) {
+    hits++;
+    return cached;
   }
-  
+
+  misses++;
   const result = await Model.find(filter, projection, options);
-  
-  if (cache.size >= MAX_CACHE_SIZE) {
-    const oldestKey = cache.keys().next().value;
-    cache.delete(oldestKey);
-  }
-  
-  cache.set(cacheKey, { data: result, timestamp: Date.now() });
+  await cache.set(cacheKey, result, CACHE_TTL);
   return result;
 };
 
 const clearCache = () => cache.clear();
-const getCacheSize = () => cache.size;
+const getCacheSize = () => cache.entries.size;
+const getCacheStats = () => ({ hits, misses, ...cache.stats() });
 
 module.exports = {
   cacheRead,
   clearCache,
   getCacheSize,
-  _cache: process.env.NODE_ENV === 'test' ? cache : undefined
-}; 
\ No newline at end of file
+  getCacheStats,
+  _cache: process.env.NODE_ENV === 'test' ? cache.entries : undefined
+};
@@ -0,0 +1,401 @@
+/**
+ * Cache stores for Easy-Mongo
+ * A store is any object exposing async get/set/del/clear, which lets
+ * CacheManager run against a per-process Map or a shared Redis instance.
+ * Stores may also implement tag/invalidate for targeted invalidation.
+ */
+
+class MemoryStore {
+  /**
+   * In-process LRU store
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Maximum number of entries (0 for unbounded)
+   * @param {number} options.maxSize - Maximum approximate size in bytes (0 for unbounded)
+   * @param {number} options.sweepInterval - How often expired entries are purged, in ms (0 disables)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : 1000;
+    this.maxSize = options.maxSize || 0;
+    this.entries = new Map();
+    this.tags = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+
+    const sweepInterval = options.sweepInterval !== undefined ? options.sweepInterval : 60000;
+    if (sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+      // Don't keep the process alive just to sweep the cache
+      if (this.sweepTimer.unref) this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached value, or undefined on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiry <= Date.now()) {
+      this._remove(key);
+      this.expirations++;
+      return undefined;
+    }
+
+    // Re-insert so the Map's iteration order stays least-recently-used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time to live in seconds (0 for no expiry)
+   */
+  async set(key, value, ttl) {
+    this._remove(key);
+
+    const size = this._sizeOf(value);
+    // A value larger than the whole cache would only evict everything else
+    if (this.maxSize && size > this.maxSize) return;
+
+    this.entries.set(key, {
+      value,
+      size,
+      expiry: ttl ? Date.now() + (ttl * 1000) : Infinity
+    });
+    this.bytes += size;
+    this._evict();
+  }
+
+  /**
+   * Remove a single key
+   * @param {string} key - Cache key
+   */
+  async del(key) {
+    this._remove(key);
+  }
+
+  /**
+   * Remove every key starting with a prefix
+   * @param {string} prefix - Key prefix (empty string clears everything)
+   */
+  async clear(prefix = '') {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this._remove(key);
+      }
+    }
+    for (const tag of this.tags.keys()) {
+      if (tag.startsWith(prefix)) {
+        this.tags.delete(tag);
+      }
+    }
+  }
+
+  /**
+   * Record that a key belongs to one or more tags
+   * @param {string} key - Cache key
+   * @param {Array<string>} tags - Tags to attach
+   */
+  async tag(key, tags) {
+    tags.forEach(tag => {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    });
+  }
+
+  /**
+   * Remove every key attached to any of the given tags
+   * @param {Array<string>} tags - Tags to invalidate
+   */
+  async invalidate(tags) {
+    tags.forEach(tag => {
+      const keys = this.tags.get(tag);
+      if (!keys) return;
+
+      keys.forEach(key => this._remove(key));
+      this.tags.delete(tag);
+    });
+  }
+
+  /**
+   * Purge expired entries and drop tag references to keys that are gone
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiry <= now) {
+        this._remove(key);
+        this.expirations++;
+      }
+    }
+
+    for (const [tag, keys] of this.tags) {
+      keys.forEach(key => {
+        if (!this.entries.has(key)) keys.delete(key);
+      });
+      if (keys.size === 0) this.tags.delete(tag);
+    }
+  }
+
+  /**
+   * Current size and eviction counters
+   * @returns {Object} - Store statistics
+   */
+  stats() {
+    return {
+      size: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      evictions: this.evictions,
+      expirations: this.expirations
+    };
+  }
+
+  /**
+   * Stop the background sweep
+   */
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Drop least-recently-used entries until both limits are satisfied
+   * @private
+   */
+  _evict() {
+    while (
+      (this.maxEntries && this.entries.size > this.maxEntries) ||
+      (this.maxSize && this.bytes > this.maxSize)
+    ) {
+      this._remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+  }
+
+  /**
+   * Approximate the memory held by a value from its JSON size
+   * @private
+   */
+  _sizeOf(value) {
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? 0 : Buffer.byteLength(json);
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.client - An existing ioredis-compatible client
+   * @param {string} options.url - Connection URL used when no client is given
+   * @param {Object} options.redisOptions - Extra ioredis options
+   * @param {string} options.prefix - Namespace prepended to every key
+   * @param {number} options.scanCount - COUNT hint used when clearing by prefix
+   * @param {boolean} options.trackStats - Count hits and misses in Redis, shared by every process (default true)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'easy-mongo:';
+    this.tagPrefix = `${this.prefix}__tags:`;
+    this.statsKey = `${this.prefix}__stats`;
+    this.scanCount = options.scanCount || 100;
+    this.trackStats = options.trackStats !== false;
+    this.ownsClient = !options.client;
+    this.client = options.client || this._createClient(options);
+  }
+
+  /**
+   * Create an ioredis client from connection options
+   * @private
+   */
+  _createClient({ url, redisOptions = {} }) {
+    const Redis = require('ioredis');
+    return url ? new Redis(url, redisOptions) : new Redis(redisOptions);
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    const hit = raw !== null && raw !== undefined;
+
+    if (this.trackStats) {
+      await this.client.hincrby(this.statsKey, hit ? 'hits' : 'misses', 1);
+    }
+    return hit ? JSON.parse(raw) : undefined;
+  }
+
+  async set(key, value, ttl) {
+    // Values are stored as JSON, so documents come back as plain objects
+    const payload = JSON.stringify(value === undefined ? null : value);
+
+    if (ttl) {
+      await this.client.set(this.prefix + key, payload, 'PX', Math.ceil(ttl * 1000));
+    } else {
+      await this.client.set(this.prefix + key, payload);
+    }
+  }
+
+  async del(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async clear(prefix = '') {
+    await this._deleteMatching(`${this._escapePattern(this.prefix + prefix)}*`);
+    await this._deleteMatching(`${this._escapePattern(this.tagPrefix + prefix)}*`);
+  }
+
+  async tag(key, tags, ttl) {
+    for (const tag of tags) {
+      const tagKey = this.tagPrefix + tag;
+      const remaining = await this.client.pttl(tagKey);
+      await this.client.sadd(tagKey, key);
+
+      // Keep the tag set alive at least as long as its longest-lived key
+      if (!ttl) {
+        await this.client.persist(tagKey);
+      } else if (remaining === -2 || (remaining >= 0 && remaining < ttl * 1000)) {
+        await this.client.pexpire(tagKey, Math.ceil(ttl * 1000));
+      }
+    }
+  }
+
+  async invalidate(tags) {
+    for (const tag of tags) {
+      const tagKey = this.tagPrefix + tag;
+      const keys = await this.client.smembers(tagKey);
+      await this.client.del(tagKey, ...keys.map(key => this.prefix + key));
+    }
+  }
+
+  /**
+   * Keyspace counts under the prefix plus hit/miss counters shared by every
+   * process using it. Counting SCANs the prefix, so avoid calling it in hot paths.
+   * @returns {Promise<Object>} - { size, tags, sharedHits, sharedMisses, sharedHitRate }
+   */
+  async stats() {
+    let size = 0;
+    let tags = 0;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(
+        cursor, 'MATCH', `${this._escapePattern(this.prefix)}*`, 'COUNT', this.scanCount
+      );
+      keys.forEach(key => {
+        if (key.startsWith(this.tagPrefix)) tags++;
+        else if (key !== this.statsKey) size++;
+      });
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+
+    const counters = (this.trackStats && await this.client.hgetall(this.statsKey)) || {};
+    const sharedHits = Number(counters.hits || 0);
+    const sharedMisses = Number(counters.misses || 0);
+    const lookups = sharedHits + sharedMisses;
+
+    return {
+      size,
+      tags,
+      sharedHits,
+      sharedMisses,
+      sharedHitRate: lookups > 0 ? sharedHits / lookups : 0
+    };
+  }
+
+  /**
+   * Close the connection if this store created it
+   */
+  async close() {
+    if (this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+
+  /**
+   * Delete every key matching a SCAN pattern
+   * @private
+   */
+  async _deleteMatching(pattern) {
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(
+        cursor, 'MATCH', pattern, 'COUNT', this.scanCount
+      );
+      if (keys.length > 0) {
+        await this.client.del(...keys);
+      }
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+  }
+
+  /**
+   * Escape glob characters so a prefix is matched literally by SCAN
+   * @private
+   */
+  _escapePattern(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+  }
+}
+
+const isCacheStore = (store) => Boolean(store) &&
+  ['get', 'set', 'del', 'clear'].every(method => typeof store[method] === 'function');
+
+/**
+ * Create a cache store from the `features.cache` config
+ * @param {Object} config - Cache config
+ * @param {string|Object} config.store - 'memory', 'redis' or a custom store instance
+ * @param {Object} config.redis - Options passed to RedisStore
+ * @returns {Object} - Cache store
+ */
+const createCacheStore = (config = {}) => {
+  const { store = 'memory' } = config;
+
+  if (isCacheStore(store)) {
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryStore(config.memory || {});
+    case 'redis':
+      return new RedisStore(config.redis || {});
+    default:
+      throw new Error(`Unknown cache store: ${store}`);
+  }
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createCacheStore,
+  isCacheStore
+};
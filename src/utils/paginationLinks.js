@@ -0,0 +1,143 @@
+/**
+ * Pagination link helpers for Easy-Mongo
+ * Turn a paginate() or paginateCursor() result into RFC 8288 Link headers,
+ * JSON:API `links` objects or Relay-style connections
+ */
+
+const { encodeOffsetCursor } = require('../helpers/cursor');
+
+// Lets relative base URLs ("/api/users?status=active") go through the URL parser
+const PLACEHOLDER_ORIGIN = 'http://easy-mongo.invalid';
+
+const isCursorResult = (pagination) => 'endCursor' in pagination || 'startCursor' in pagination;
+
+/**
+ * Set query params on a base URL, keeping its existing params
+ * @private
+ */
+const withParams = (baseUrl, params) => {
+  const url = new URL(baseUrl, PLACEHOLDER_ORIGIN);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(value));
+    }
+  });
+
+  return url.origin === PLACEHOLDER_ORIGIN
+    ? `${url.pathname}${url.search}${url.hash}`
+    : url.toString();
+};
+
+/**
+ * URLs for the current, first, previous, next and last pages
+ * @param {Object} result - Result of paginate() or paginateCursor()
+ * @param {string} baseUrl - Absolute or relative URL, with any query params to keep
+ * @param {Object} options - { query, pageParam, limitParam, afterParam, beforeParam }
+ * @returns {Object} - { self, first, prev, next, last }; unavailable links are null
+ */
+const buildPageLinks = (result, baseUrl, {
+  query = {},
+  pageParam = 'page',
+  limitParam = 'limit',
+  afterParam = 'after',
+  beforeParam = 'before'
+} = {}) => {
+  const { pagination } = result;
+  const base = withParams(baseUrl, { ...query, [limitParam]: pagination.limit });
+
+  if (isCursorResult(pagination)) {
+    const cursorUrl = params => withParams(base, { [afterParam]: null, [beforeParam]: null, ...params });
+    const empty = !pagination.startCursor;
+    return {
+      self: withParams(baseUrl, { ...query, [limitParam]: pagination.limit }),
+      first: cursorUrl({}),
+      prev: pagination.hasPrevPage && !empty ? cursorUrl({ [beforeParam]: pagination.startCursor }) : null,
+      next: pagination.hasNextPage && !empty ? cursorUrl({ [afterParam]: pagination.endCursor }) : null,
+      // The last page of a keyset pagination has no cursor to point at
+      last: null
+    };
+  }
+
+  const pageUrl = page => withParams(base, { [pageParam]: page });
+  return {
+    self: pageUrl(pagination.page),
+    first: pageUrl(1),
+    prev: pagination.hasPrevPage ? pageUrl(pagination.page - 1) : null,
+    next: pagination.hasNextPage ? pageUrl(pagination.page + 1) : null,
+    last: pagination.pages ? pageUrl(pagination.pages) : null
+  };
+};
+
+/**
+ * RFC 8288 Link header value, e.g. `<https://api/users?page=2&limit=10>; rel="next", ...`
+ * @param {Object} result - Result of paginate() or paginateCursor()
+ * @param {string} baseUrl - Base URL
+ * @param {Object} options - Same as buildPageLinks
+ * @returns {string} - Header value (empty when there are no links)
+ */
+const toLinkHeader = (result, baseUrl, options) => {
+  const links = buildPageLinks(result, baseUrl, options);
+
+  return ['first', 'prev', 'next', 'last']
+    .filter(rel => links[rel])
+    .map(rel => `<${links[rel]}>; rel="${rel}"`)
+    .join(', ');
+};
+
+/**
+ * JSON:API top-level `links` object
+ * @param {Object} result - Result of paginate() or paginateCursor()
+ * @param {string} baseUrl - Base URL
+ * @param {Object} options - Same as buildPageLinks
+ * @returns {Object} - { self, first, prev, next, last }
+ */
+const toJsonApiLinks = (result, baseUrl, options) => buildPageLinks(result, baseUrl, options);
+
+/**
+ * Relay-style connection: { edges: [{ node, cursor }], pageInfo, totalCount }
+ * Cursor results need `withCursors: true` so every edge gets a cursor. Edges of
+ * numbered pages get offset cursors, which paginate() accepts as `after`.
+ * @param {Object} result - Result of paginate() or paginateCursor()
+ * @returns {Object} - Connection
+ */
+const toRelayConnection = (result) => {
+  const { data, pagination } = result;
+  let edges;
+
+  if (isCursorResult(pagination)) {
+    if (!pagination.cursors && data.length > 0) {
+      throw new Error('Relay connections need per-row cursors; call paginateCursor with withCursors: true');
+    }
+    const cursors = pagination.cursors || [];
+    edges = data.map((node, index) => ({ node, cursor: cursors[index] }));
+  } else {
+    const offset = pagination.offset !== undefined
+      ? pagination.offset
+      : (pagination.page - 1) * pagination.limit;
+    edges = data.map((node, index) => ({ node, cursor: encodeOffsetCursor(offset + index) }));
+  }
+
+  const connection = {
+    edges,
+    pageInfo: {
+      hasNextPage: Boolean(pagination.hasNextPage),
+      hasPreviousPage: Boolean(pagination.hasPrevPage),
+      startCursor: (edges[0] && edges[0].cursor) || null,
+      endCursor: (edges[edges.length - 1] && edges[edges.length - 1].cursor) || null
+    }
+  };
+  if (typeof pagination.total === 'number') {
+    connection.totalCount = pagination.total;
+  }
+
+  return connection;
+};
+
+module.exports = {
+  buildPageLinks,
+  toLinkHeader,
+  toJsonApiLinks,
+  toRelayConnection
+};